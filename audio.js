@@ -0,0 +1,133 @@
+// Sound of the page as one Web Audio graph:
+//
+//   music element -> analyser -> master gain -> speakers
+//   tone oscillators ---------^             \-> recording stream (captureStream())
+//
+// The analyser's beat level can drive the animation (visualizer.setAudioInput), the
+// tones sonify pulses reaching output neurons. Browsers start the AudioContext
+// suspended until the user interacts with the page, see unlock().
+
+const SCALE = [0, 2, 4, 7, 9]; // Major pentatonic, so any two tones sound fine together
+const BASE_FREQUENCY = 220; // A3, lowest tone
+const TONE_STEPS = 15; // Three octaves of the scale
+const MAX_VOICES = 8; // Tones sounding at once, more are dropped
+const BASS_BINS = 8; // Analyser bins counted as bass (~0-700 Hz with fftSize 512)
+
+export function createSound(music) {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    const context = new AudioContext();
+
+    const analyser = context.createAnalyser();
+    analyser.fftSize = 512;
+    analyser.smoothingTimeConstant = 0.6;
+    const bins = new Uint8Array(analyser.frequencyBinCount);
+
+    const master = context.createGain();
+    master.connect(context.destination);
+    context.createMediaElementSource(music).connect(analyser);
+    analyser.connect(master);
+
+    let volume = 1;
+    let muted = false;
+    let voices = 0;
+    let recordingDestination = null;
+
+    // Beat detection: bass energy against its slow running average
+    let average = 0;
+    let level = 0;
+    let lastLevelTime = null;
+
+    function applyVolume() {
+        master.gain.setTargetAtTime(muted ? 0 : volume, context.currentTime, 0.02);
+    }
+
+    // Resume the context and play the music; rejects while the browser still blocks sound.
+    // resume() stays pending until sound is allowed, so it only gets a moment.
+    async function unlock(playMusic = true) {
+        const blocked = new Promise((resolve, reject) => {
+            setTimeout(() => reject(new Error('The browser blocks sound until the page is clicked.')), 500);
+        });
+        await Promise.race([context.resume(), blocked]);
+        if (playMusic) await music.play();
+    }
+
+    // 0..1, jumps up on a beat and decays until the next one; call once per frame
+    function beatLevel() {
+        const now = performance.now();
+        const frames = lastLevelTime === null ? 1 : Math.min(6, (now - lastLevelTime) / (1000 / 60));
+        lastLevelTime = now;
+
+        if (music.paused || context.state !== 'running') {
+            level *= Math.pow(0.9, frames);
+            return level;
+        }
+
+        analyser.getByteFrequencyData(bins);
+        let energy = 0;
+        for (let i = 0; i < BASS_BINS; i++) energy += bins[i];
+        energy /= BASS_BINS * 255;
+
+        average += (energy - average) * (1 - Math.pow(0.97, frames));
+        const beat = Math.min(1, Math.max(0, (energy - average * 1.1) * 6));
+        level = Math.max(beat, level * Math.pow(0.9, frames));
+        return level;
+    }
+
+    // Short bell-like tone for output `index` of `count`, higher for later labels
+    function playTone(index, count, strength = 1) {
+        if (context.state !== 'running' || voices >= MAX_VOICES) return;
+
+        const step = count > 1 ? Math.round(index / (count - 1) * (TONE_STEPS - 1)) : 0;
+        const semitones = Math.floor(step / SCALE.length) * 12 + SCALE[step % SCALE.length];
+        const start = context.currentTime;
+
+        const oscillator = context.createOscillator();
+        oscillator.type = 'sine';
+        oscillator.frequency.value = BASE_FREQUENCY * Math.pow(2, semitones / 12);
+
+        const envelope = context.createGain();
+        envelope.gain.setValueAtTime(0, start);
+        envelope.gain.linearRampToValueAtTime(0.15 * Math.min(1, Math.max(0.2, strength)), start + 0.01);
+        envelope.gain.exponentialRampToValueAtTime(0.0001, start + 0.5);
+
+        oscillator.connect(envelope).connect(master);
+        oscillator.start(start);
+        oscillator.stop(start + 0.5);
+        voices++;
+        oscillator.addEventListener('ended', () => {
+            voices--;
+            envelope.disconnect();
+        });
+    }
+
+    // Everything that is audible, for recording video. The tracks are copies, so a
+    // recording may stop them without silencing the next one.
+    function captureStream() {
+        if (!recordingDestination) {
+            recordingDestination = context.createMediaStreamDestination();
+            master.connect(recordingDestination);
+        }
+        return new MediaStream(recordingDestination.stream.getAudioTracks().map(track => track.clone()));
+    }
+
+    return {
+        unlock,
+        beatLevel,
+        playTone,
+        captureStream,
+        get volume() {
+            return volume;
+        },
+        set volume(value) {
+            volume = value;
+            applyVolume();
+        },
+        get muted() {
+            return muted;
+        },
+        set muted(value) {
+            muted = value;
+            applyVolume();
+        }
+    };
+}
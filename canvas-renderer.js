@@ -0,0 +1,315 @@
+import * as THREE from 'three';
+
+// Stand-in for THREE.WebGLRenderer where WebGL can't be created: draws the visualizer's
+// scene with the 2D canvas API. Neurons become flat circles, lines keep their RGBA vertex
+// colors (and with them the pulses), sprites and the input plane are drawn as images.
+// No lighting or fog, and it's slower, but it shows the same state.
+//
+// It has the parts of the WebGLRenderer interface the visualizer uses:
+// domElement, info.render.calls, setPixelRatio(), setSize(), render(scene, camera) and dispose().
+
+const LIGHT = 0.6; // Share of a material's color that shows without lights
+
+const viewProjection = new THREE.Matrix4();
+const objectMatrix = new THREE.Matrix4();
+const point = new THREE.Vector3();
+const corner = new THREE.Vector3();
+const color = new THREE.Color();
+
+// Colors are rounded (opacity to 1/50), so lines and neurons of the same look share one path
+function rgba(r, g, b, a = 1) {
+    const byte = value => Math.round(Math.min(1, Math.max(0, value)) * 255);
+    return `rgba(${byte(r)}, ${byte(g)}, ${byte(b)}, ${Math.round(Math.min(1, a) * 50) / 50})`;
+}
+
+export function createCanvasRenderer() {
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+    let width = 1;
+    let height = 1;
+    let pixelRatio = 1;
+
+    // Strokes, fills and images of the last frame, like the draw calls of WebGL
+    const info = { render: { calls: 0 } };
+
+    // Pixels of DataTextures (the input plane), copied to a canvas when they change
+    const textureCanvases = new WeakMap();
+
+    // Shapes to draw back to front, reused from frame to frame
+    const items = [];
+    let itemCount = 0;
+
+    function addItem() {
+        if (itemCount === items.length) items.push({});
+        return items[itemCount++];
+    }
+
+    // Screen position (CSS pixels) and depth of a world point into `item`; false if it's
+    // behind the camera or beyond the far plane
+    function project(item, x, y, z) {
+        point.set(x, y, z).applyMatrix4(viewProjection);
+        if (point.z < -1 || point.z > 1) return false;
+        item.x = (point.x + 1) * width / 2;
+        item.y = (1 - point.y) * height / 2;
+        item.depth = point.z;
+        return true;
+    }
+
+    // CSS pixels per world unit at a world point
+    function pixelsPerUnit(camera, x, y, z) {
+        const scale = camera.projectionMatrix.elements[5] * height / 2;
+        if (!camera.isPerspectiveCamera) return scale;
+        const depth = -point.set(x, y, z).applyMatrix4(camera.matrixWorldInverse).z;
+        return depth > 0 ? scale / depth : 0;
+    }
+
+    function textureCanvas(texture) {
+        let entry = textureCanvases.get(texture);
+        const { data, width: textureWidth, height: textureHeight } = texture.image;
+        if (!entry) {
+            const target = document.createElement('canvas');
+            target.width = textureWidth;
+            target.height = textureHeight;
+            entry = { canvas: target, imageData: target.getContext('2d').createImageData(textureWidth, textureHeight), version: -1 };
+            textureCanvases.set(texture, entry);
+        }
+        if (entry.version !== texture.version) {
+            entry.imageData.data.set(data);
+            entry.canvas.getContext('2d').putImageData(entry.imageData, 0, 0);
+            entry.version = texture.version;
+        }
+        return entry.canvas;
+    }
+
+    // Endpoints in CSS pixels per line color, stroked after all line objects are collected
+    const lines = new Map();
+
+    function addLines(object) {
+        const { position, color: colors } = object.geometry.attributes;
+        const material = object.material;
+        const stride = colors ? colors.itemSize : 0;
+        objectMatrix.multiplyMatrices(viewProjection, object.matrixWorld);
+
+        for (let i = 0; i < position.count; i += 2) {
+            const alpha = (stride === 4 ? colors.array[i * 4 + 3] : 1) * material.opacity;
+            if (alpha < 0.01) continue;
+
+            const from = corner.fromBufferAttribute(position, i).applyMatrix4(objectMatrix);
+            const fromX = from.x;
+            const fromY = from.y;
+            const fromZ = from.z;
+            const to = point.fromBufferAttribute(position, i + 1).applyMatrix4(objectMatrix);
+            if (Math.abs(fromZ) > 1 || Math.abs(to.z) > 1) continue;
+
+            // Both vertices of a connection share one color
+            const lineStyle = stride > 0
+                ? rgba(colors.array[i * stride], colors.array[i * stride + 1], colors.array[i * stride + 2], alpha)
+                : rgba(material.color.r, material.color.g, material.color.b, alpha);
+            if (!lines.has(lineStyle)) lines.set(lineStyle, []);
+            lines.get(lineStyle).push(
+                (fromX + 1) * width / 2, (1 - fromY) * height / 2,
+                (to.x + 1) * width / 2, (1 - to.y) * height / 2
+            );
+        }
+    }
+
+    function drawLines() {
+        context.lineWidth = 1;
+        lines.forEach((points, style) => {
+            info.render.calls++;
+            context.strokeStyle = style;
+            context.beginPath();
+            for (let k = 0; k < points.length; k += 4) {
+                context.moveTo(points[k], points[k + 1]);
+                context.lineTo(points[k + 2], points[k + 3]);
+            }
+            context.stroke();
+        });
+        lines.clear();
+    }
+
+    // Lit color of a Phong material without the lights, plus an extra emissive color
+    function meshStyle(material, r = 0, g = 0, b = 0) {
+        const emissive = material.emissive || color.setRGB(0, 0, 0);
+        const intensity = material.emissiveIntensity ?? 1;
+        return rgba(
+            material.color.r * LIGHT + emissive.r * intensity + r,
+            material.color.g * LIGHT + emissive.g * intensity + g,
+            material.color.b * LIGHT + emissive.b * intensity + b,
+            material.transparent ? material.opacity : 1
+        );
+    }
+
+    function addNeurons(object, camera) {
+        const radius = object.geometry.parameters.radius;
+        const matrices = object.instanceMatrix.array;
+        const emissive = object.geometry.attributes.instanceEmissive;
+
+        for (let i = 0; i < object.count; i++) {
+            const m = i * 16;
+            corner.set(matrices[m + 12], matrices[m + 13], matrices[m + 14]).applyMatrix4(object.matrixWorld);
+            const { x, y, z } = corner;
+            const item = addItem();
+            if (!project(item, x, y, z)) {
+                itemCount--;
+                continue;
+            }
+            const scale = Math.hypot(matrices[m], matrices[m + 1], matrices[m + 2]);
+            item.type = 'circle';
+            item.radius = Math.max(0.5, radius * scale * pixelsPerUnit(camera, x, y, z));
+            item.style = emissive
+                ? meshStyle(object.material, emissive.array[i * 3], emissive.array[i * 3 + 1], emissive.array[i * 3 + 2])
+                : meshStyle(object.material);
+        }
+    }
+
+    function addSprite(object, camera) {
+        const material = object.material;
+        if (material.opacity < 0.01 || !material.map) return;
+
+        const { x, y, z } = corner.setFromMatrixPosition(object.matrixWorld);
+        const item = addItem();
+        if (!project(item, x, y, z)) {
+            itemCount--;
+            return;
+        }
+        const size = pixelsPerUnit(camera, x, y, z);
+        item.type = 'image';
+        item.image = material.map.image;
+        item.width = object.scale.x * size;
+        item.height = object.scale.y * size;
+        item.alpha = material.opacity * material.color.r;
+    }
+
+    // A textured plane (the input pixels): its corners give the affine transform of the image
+    function addPlane(object) {
+        const { width: planeWidth, height: planeHeight } = object.geometry.parameters;
+        const item = addItem();
+        const { x, y, z } = corner.setFromMatrixPosition(object.matrixWorld);
+        if (!project(item, x, y, z)) {
+            itemCount--;
+            return;
+        }
+        const screen = (localX, localY) => {
+            point.set(localX, localY, 0).applyMatrix4(object.matrixWorld).applyMatrix4(viewProjection);
+            return [(point.x + 1) * width / 2, (1 - point.y) * height / 2];
+        };
+
+        // Texture rows start at the bottom of the plane, canvas rows at the top of the image
+        const image = textureCanvas(object.material.map);
+        const origin = screen(-planeWidth / 2, -planeHeight / 2);
+        const right = screen(planeWidth / 2, -planeHeight / 2);
+        const up = screen(-planeWidth / 2, planeHeight / 2);
+        item.type = 'plane';
+        item.image = image;
+        item.transform = [
+            (right[0] - origin[0]) / image.width, (right[1] - origin[1]) / image.width,
+            (up[0] - origin[0]) / image.height, (up[1] - origin[1]) / image.height,
+            origin[0], origin[1]
+        ];
+        item.alpha = object.material.opacity * object.material.color.r;
+    }
+
+    // Neighbouring circles of the same color are filled as one path
+    let fillStyle = null;
+
+    function drawItem(item) {
+        if (item.type === 'circle') {
+            if (item.style !== fillStyle) {
+                if (fillStyle) context.fill();
+                info.render.calls++;
+                context.fillStyle = fillStyle = item.style;
+                context.beginPath();
+            }
+            context.moveTo(item.x + item.radius, item.y);
+            context.arc(item.x, item.y, item.radius, 0, Math.PI * 2);
+            return;
+        }
+        if (fillStyle) {
+            context.fill();
+            fillStyle = null;
+        }
+        info.render.calls++;
+        if (item.type === 'image') {
+            context.globalAlpha = Math.min(1, item.alpha);
+            context.drawImage(item.image, item.x - item.width / 2, item.y - item.height / 2, item.width, item.height);
+            context.globalAlpha = 1;
+        } else {
+            const [a, b, c, d, e, f] = item.transform;
+            context.save();
+            context.transform(a, b, c, d, e, f);
+            context.imageSmoothingEnabled = false; // Sharp pixels like the NearestFilter texture
+            context.globalAlpha = Math.min(1, item.alpha);
+            context.drawImage(item.image, 0, 0);
+            context.restore();
+        }
+    }
+
+    return {
+        domElement: canvas,
+        isCanvasRenderer: true,
+        info,
+
+        setPixelRatio(value) {
+            pixelRatio = value;
+            canvas.width = Math.floor(width * pixelRatio);
+            canvas.height = Math.floor(height * pixelRatio);
+        },
+
+        getPixelRatio: () => pixelRatio,
+
+        setSize(newWidth, newHeight, updateStyle = true) {
+            width = newWidth;
+            height = newHeight;
+            canvas.width = Math.floor(width * pixelRatio);
+            canvas.height = Math.floor(height * pixelRatio);
+            if (updateStyle) {
+                canvas.style.width = `${width}px`;
+                canvas.style.height = `${height}px`;
+            }
+        },
+
+        render(scene, camera) {
+            scene.updateMatrixWorld();
+            if (camera.parent === null) camera.updateMatrixWorld();
+            viewProjection.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+
+            context.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+            if (scene.background && scene.background.isColor) {
+                context.fillStyle = `#${scene.background.getHexString()}`;
+                context.fillRect(0, 0, width, height);
+            } else {
+                context.clearRect(0, 0, width, height);
+            }
+
+            // Lines first: they don't write depth in the WebGL scene either
+            itemCount = 0;
+            info.render.calls = 0;
+            scene.traverseVisible((object) => {
+                if (object.isLineSegments) {
+                    addLines(object);
+                } else if (object.isInstancedMesh) {
+                    addNeurons(object, camera);
+                } else if (object.isSprite) {
+                    addSprite(object, camera);
+                } else if (object.isMesh && object.material.map && object.geometry.parameters) {
+                    addPlane(object);
+                }
+            });
+
+            drawLines();
+
+            // Then everything else from back to front
+            const visible = items.slice(0, itemCount).sort((a, b) => b.depth - a.depth);
+            visible.forEach(drawItem);
+            if (fillStyle) context.fill();
+            fillStyle = null;
+        },
+
+        dispose() {
+            itemCount = 0;
+            items.length = 0;
+            lines.clear();
+        }
+    };
+}
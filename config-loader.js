@@ -0,0 +1,406 @@
+import { mergeConfig, LAYOUTS, DEFAULT_CONFIG } from './visualizer.js';
+import { LAYER_TYPES, resolveLayers } from './network.js';
+import { LANGUAGES } from './i18n.js';
+import { THEMES } from './themes.js';
+import { EASINGS } from './tour.js';
+import { QUALITY_NAMES } from './quality.js';
+import { LETTER_GLYPHS, glyphToInput } from './glyphs.js';
+
+// Settings from outside the code: a JSON file (?config=setups/mnist.json) and/or single
+// query parameters (?layers=16,64,25&rotationSpeed=0.001&colors.pulseColor=%23ff0000).
+// Query parameters win over the file, both are merged over the visualizer's defaults.
+// Values from the query string arrive as text and are converted by the rules below.
+
+const number = (min, max, { integer = false, nullable = false } = {}) => (value, key) => {
+    if (nullable && (value === null || value === 'null' || value === '')) return { value: null };
+
+    const n = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof n !== 'number' || !Number.isFinite(n)) {
+        return { problem: `"${key}" must be a number, got ${JSON.stringify(value)}.` };
+    }
+    if (integer && !Number.isInteger(n)) return { problem: `"${key}" must be a whole number, got ${n}.` };
+    if (n < min || n > max) return { problem: `"${key}" must be between ${min} and ${max}, got ${n}.` };
+    return { value: n };
+};
+
+const integer = (min, max, options = {}) => number(min, max, { ...options, integer: true });
+
+const boolean = ({ nullable = false } = {}) => (value, key) => {
+    if (nullable && (value === null || value === 'null' || value === '')) return { value: null };
+    if (value === true || value === 'true' || value === '1') return { value: true };
+    if (value === false || value === 'false' || value === '0') return { value: false };
+    return { problem: `"${key}" must be true or false, got ${JSON.stringify(value)}.` };
+};
+
+const oneOf = (...options) => (value, key) => (options.includes(value)
+    ? { value }
+    : { problem: `"${key}" must be one of ${options.join(', ')}, got ${JSON.stringify(value)}.` });
+
+const text = ({ nullable = false } = {}) => (value, key) => {
+    if (nullable && value === null) return { value: null };
+    return typeof value === 'string' && value !== ''
+        ? { value }
+        : { problem: `"${key}" must be a non-empty text, got ${JSON.stringify(value)}.` };
+};
+
+// A list, or comma-separated text from the query string
+const list = (item, { min = 1, max = Infinity } = {}) => (value, key) => {
+    const values = typeof value === 'string' ? (value === '' ? [] : value.split(',')) : value;
+    if (!Array.isArray(values)) return { problem: `"${key}" must be a list, got ${JSON.stringify(value)}.` };
+    if (values.length < min || values.length > max) {
+        const size = min === max ? `exactly ${min}` : max === Infinity ? `at least ${min}` : `${min} to ${max}`;
+        return { problem: `"${key}" must have ${size} entries, got ${values.length}.` };
+    }
+
+    const result = [];
+    for (let i = 0; i < values.length; i++) {
+        const checked = item(values[i], `${key}[${i}]`);
+        if (checked.problem) return checked;
+        result.push(checked.value);
+    }
+    return { value: result };
+};
+
+// Output labels: one character per label ("0123456789") or a list of names ("cat,dog" in the query)
+const labels = () => (value, key) => {
+    if (typeof value === 'string' && !value.includes(',')) return text()(value, key);
+    return list(text())(value, key);
+};
+
+// One text for every language, or an object with one text per language ({ "en": "...", "de": "..." })
+const localizedText = ({ nullable = false } = {}) => (value, key) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return text({ nullable })(value, key);
+
+    const problems = [];
+    Object.keys(value).forEach(language => {
+        if (!LANGUAGES.includes(language)) {
+            problems.push(`Unknown language "${key}.${language}", use ${LANGUAGES.join(', ')}.`);
+        } else {
+            const checked = text()(value[language], `${key}.${language}`);
+            if (checked.problem) problems.push(checked.problem);
+        }
+    });
+    if (Object.keys(value).length === 0) problems.push(`"${key}" needs a text for at least one language.`);
+    return problems.length > 0 ? { problem: problems } : { value };
+};
+
+// A line of the info panel: { "label": ..., "value": ... }
+const infoField = () => (value, key) => {
+    const checked = section({ label: localizedText(), value: localizedText() })(value, key);
+    if (checked.problem) return checked;
+    if (!('label' in checked.value) || !('value' in checked.value)) {
+        return { problem: `"${key}" needs a "label" and a "value".` };
+    }
+    return checked;
+};
+
+// 0xrrggbb as a number, or "#rrggbb" / "0xrrggbb" as text
+const color = () => (value, key) => {
+    if (typeof value === 'string' && /^(#|0x)[0-9a-f]{6}$/i.test(value)) {
+        return { value: parseInt(value.replace('#', '0x'), 16) };
+    }
+    return integer(0, 0xffffff)(value, key).problem
+        ? { problem: `"${key}" must be a color like "#2f6f8f", got ${JSON.stringify(value)}.` }
+        : { value: Number(value) };
+};
+
+const section = (rules) => (value, key) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return { problem: `"${key}" must be an object.` };
+    }
+    const problems = [];
+    const result = checkKeys(value, rules, `${key}.`, problems);
+    return problems.length > 0 ? { problem: problems } : { value: result };
+};
+
+const neuronCount = integer(1, 100000);
+
+// Quality settings; the governor's lower bound may not be above its upper one (a bound
+// that is not given is the default)
+const quality = () => (value, key) => {
+    const checked = section({
+        tier: oneOf(...QUALITY_NAMES),
+        adaptive: boolean(),
+        targetFps: number(5, 240),
+        minTier: oneOf(...QUALITY_NAMES),
+        maxTier: oneOf(...QUALITY_NAMES),
+        overlay: boolean()
+    })(value, key);
+    if (checked.problem) return checked;
+    const { minTier = DEFAULT_CONFIG.quality.minTier, maxTier = DEFAULT_CONFIG.quality.maxTier } = checked.value;
+    if (QUALITY_NAMES.indexOf(minTier) > QUALITY_NAMES.indexOf(maxTier)) {
+        return { problem: `"${key}.minTier" (${minTier}) must not be above "${key}.maxTier" (${maxTier}).` };
+    }
+    return checked;
+};
+
+// Settings of each layer descriptor besides "type", and which of them are required
+const LAYER_RULES = {
+    dense: { size: neuronCount },
+    conv: { filters: integer(1, 256), kernel: integer(1, 15), stride: integer(1, 15) },
+    pool: { window: integer(2, 16) },
+    attention: { tokens: integer(2, 64) }
+};
+const LAYER_REQUIRED = { dense: 'size', conv: 'filters', attention: 'tokens' };
+
+// A neuron count (dense layer) or a descriptor like { "type": "conv", "filters": 8, "kernel": 3 }
+const layer = () => (value, key) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return neuronCount(value, key);
+
+    const { type, ...settings } = value;
+    if (!LAYER_TYPES.includes(type)) {
+        return { problem: `"${key}.type" must be one of ${LAYER_TYPES.join(', ')}, got ${JSON.stringify(type)}.` };
+    }
+    const checked = section(LAYER_RULES[type])(settings, key);
+    if (checked.problem) return checked;
+    const required = LAYER_REQUIRED[type];
+    if (required && !(required in checked.value)) return { problem: `"${key}" needs "${required}" for a ${type} layer.` };
+    return { value: { type, ...checked.value } };
+};
+
+const RULES = {
+    layers: list(layer(), { min: 2 }),
+    layerSpacing: number(0.1, 50),
+    neuronSize: number(0.001, 1),
+    hiddenNeuronSize: number(0.001, 1),
+    connectionOpacity: number(0, 1),
+    connectionSampleRate: number(0, 1),
+    maxConnectionsPerLayer: integer(0, 1000000),
+    hiddenLayerExtent: number(0.1, 50),
+    rotationSpeed: number(-0.1, 0.1),
+    autoRotateDelay: number(0, 3600),
+    randomFanIn: integer(1, 100000),
+    seed: integer(0, 4294967295, { nullable: true }),
+    pulseInterval: number(0.01, 10),
+    modelUrl: text({ nullable: true }),
+    inputShape: list(integer(1, 1000), { min: 2, max: 2 }),
+    inputStyle: oneOf('auto', 'digits', 'pixels'),
+    inputTopRowFirst: boolean(),
+    outputLabels: labels(),
+    outputColumns: integer(1, 1000, { nullable: true }),
+    language: oneOf(...LANGUAGES),
+    reducedMotion: boolean({ nullable: true }),
+    training: section({
+        hiddenLayers: list(integer(1, 1000)),
+        learningRate: number(0.0001, 10),
+        batchSize: integer(1, 10000),
+        batchesPerFrame: integer(0, 100),
+        connectionSampleRate: number(0, 1)
+    }),
+    neuronSegments: integer(3, 64),
+    hiddenNeuronSegments: integer(3, 64),
+    quality: quality(),
+    theme: oneOf(...Object.keys(THEMES)),
+    layout: oneOf(...LAYOUTS),
+    colors: section({
+        background: color(),
+        fog: color(),
+        ambientLight: color(),
+        inputNeuronOn: color(),
+        inputNeuronOff: color(),
+        inputTextOn: color(),
+        inputTextOff: color(),
+        hiddenNeurons: color(),
+        outputNeurons: color(),
+        outputText: color(),
+        connections: color(), // No longer used, still accepted so older configurations stay valid
+        positiveWeights: color(),
+        negativeWeights: color(),
+        pulseColor: color(),
+        panel: section({
+            background: text(),
+            text: text(),
+            highlight: text(),
+            border: text(),
+            control: text(),
+            errorBackground: text(),
+            errorBorder: text()
+        })
+    }),
+    // Read by the page (info panel, sound, dashboard), not by the visualizer
+    music: section({
+        tracks: list(text(), { min: 0 }),
+        volume: number(0, 1),
+        reactive: boolean(),
+        tones: boolean()
+    }),
+    info: section({
+        title: localizedText(),
+        model: localizedText({ nullable: true }),
+        fields: list(infoField(), { min: 0 })
+    }),
+    tour: text(), // URL of a tour file
+    sync: section({
+        role: oneOf('off', 'presenter', 'follower'),
+        channel: text(),
+        relay: text({ nullable: true }),
+        name: text()
+    }),
+    dashboard: section({
+        open: boolean(),
+        bars: integer(1, 100),
+        values: oneOf('activation', 'pulses'),
+        history: number(5, 600)
+    })
+};
+
+// Guided tours (see tour.js): a title and a list of steps
+const point = () => list(number(-1000, 1000), { min: 3, max: 3 });
+
+// Camera of a tour step; "layer" is short for the center of that layer as "target"
+const cameraView = () => (value, key) => {
+    const checked = section({
+        target: point(),
+        layer: integer(-100, 100),
+        position: point(),
+        azimuth: number(-3600, 3600),
+        polar: number(1, 179),
+        distance: number(3, 30)
+    })(value, key);
+    if (checked.problem) return checked;
+    if ('target' in checked.value && 'layer' in checked.value) {
+        return { problem: `"${key}" takes either "target" or "layer", not both.` };
+    }
+    return checked;
+};
+
+// A letter of the built-in alphabet or the input values themselves
+const tourInput = () => (value, key) => {
+    if (typeof value !== 'string') return list(number(0, 1))(value, key);
+    const letter = value.toUpperCase();
+    return LETTER_GLYPHS[letter]
+        ? { value: glyphToInput(LETTER_GLYPHS[letter]) }
+        : { problem: `"${key}" must be a letter of ${Object.keys(LETTER_GLYPHS).join('')} or a list of values, got ${JSON.stringify(value)}.` };
+};
+
+const TOUR_RULES = {
+    title: localizedText(),
+    steps: list(section({
+        caption: localizedText(),
+        camera: cameraView(),
+        duration: number(0, 60),
+        easing: oneOf(...Object.keys(EASINGS)),
+        hold: number(0.5, 600),
+        highlight: integer(-100, 100, { nullable: true }),
+        input: tourInput(),
+        pulses: boolean(),
+        rotate: boolean()
+    }))
+};
+
+// Query parameters the page reads itself
+const PAGE_PARAMS = ['config'];
+
+function checkKeys(values, rules, prefix, problems) {
+    const result = {};
+    Object.keys(values).forEach(key => {
+        if (!(key in rules)) {
+            problems.push(`Unknown setting "${prefix}${key}".`);
+            return;
+        }
+        const checked = rules[key](values[key], prefix + key);
+        if (checked.problem) {
+            problems.push(...[].concat(checked.problem));
+        } else {
+            result[key] = checked.value;
+        }
+    });
+    return result;
+}
+
+// Check and convert settings (from JSON or the query string).
+// Throws an Error whose `problems` lists every invalid setting.
+export function parseConfig(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw configError(['The configuration is not a JSON object.']);
+    }
+
+    const problems = [];
+    const config = checkKeys(data, RULES, '', problems);
+
+    // Each layer has to fit the shape of the one before it
+    if (problems.length === 0 && config.layers) {
+        try {
+            resolveLayers(config.layers, config.inputShape);
+        } catch (err) {
+            problems.push(...err.problems);
+        }
+    }
+    if (problems.length > 0) throw configError(problems);
+    return config;
+}
+
+// Check a tour file; throws an Error whose `problems` lists everything wrong with it
+export function parseTour(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw configError(['The tour is not a JSON object.']);
+    }
+
+    const problems = [];
+    const tour = checkKeys(data, TOUR_RULES, '', problems);
+    if (!('steps' in data)) problems.push('The tour needs "steps".');
+    if (problems.length > 0) throw configError(problems);
+    return tour;
+}
+
+// Settings from query parameters as text; "a.b=1" sets b inside a, ?model=... is short for modelUrl
+export function configFromParams(params) {
+    const config = {};
+    params.forEach((value, name) => {
+        if (PAGE_PARAMS.includes(name)) return;
+
+        const path = (name === 'model' ? 'modelUrl' : name).split('.');
+        let target = config;
+        path.slice(0, -1).forEach(key => {
+            if (!target[key] || typeof target[key] !== 'object') target[key] = {};
+            target = target[key];
+        });
+        target[path[path.length - 1]] = value;
+    });
+    return config;
+}
+
+export function loadConfigFromUrl(url) {
+    return fetchJsonObject(url, 'configuration');
+}
+
+export async function loadTourFromUrl(url) {
+    return parseTour(await fetchJsonObject(url, 'tour'));
+}
+
+// `what` names the file in error messages
+async function fetchJsonObject(url, what) {
+    let response;
+    try {
+        response = await fetch(url);
+    } catch (err) {
+        throw configError([`Could not load ${what} "${url}": ${err.message}`]);
+    }
+    if (!response.ok) {
+        throw configError([`Could not load ${what} "${url}" (HTTP ${response.status}).`]);
+    }
+
+    let data;
+    try {
+        data = JSON.parse(await response.text());
+    } catch (err) {
+        throw configError([`Invalid JSON in "${url}": ${err.message}`]);
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw configError([`"${url}" does not contain a JSON object.`]);
+    }
+    return data;
+}
+
+// Everything a page URL asks for (location.search): the ?config= file, then the single parameters
+export async function loadPageConfig(search) {
+    const params = new URLSearchParams(search);
+    const file = params.has('config') ? await loadConfigFromUrl(params.get('config')) : {};
+    return parseConfig(mergeConfig(file, configFromParams(params)));
+}
+
+function configError(problems) {
+    const error = new Error(problems.join('\n'));
+    error.problems = problems;
+    return error;
+}
@@ -0,0 +1,226 @@
+import { translate } from './i18n.js';
+
+// Charts of the network's state for a panel next to the canvas, redrawn with every frame
+// of the visualizer ('frame' event):
+//   output scores        the output layer's softmax, ranked, the prediction highlighted
+//   hidden layers        a histogram per hidden layer of its activations or its pulse glow
+//   recent predictions   the winning label and its probability over the last seconds
+// Colors are the panel colors (--panel-*) the element has or inherits.
+
+const BINS = 20;
+const SAMPLE_INTERVAL = 0.25; // Seconds between two samples of the prediction timeline
+const ROW_HEIGHT = 18; // Pixels per output bar
+const HISTOGRAM_HEIGHT = 36;
+const TIMELINE_HEIGHT = 70;
+const FONT = '11px "Courier New", monospace';
+
+// options:
+//   bars      output labels shown at most, highest score first
+//   values    'activation' or 'pulses' (glow of the pulses) for the histograms
+//   history   seconds of predictions in the timeline
+export function createDashboard(visualizer, element, { bars = 10, values = 'activation', history = 30 } = {}) {
+    const t = (key, params) => translate(visualizer.config.language, key, params);
+    const samples = []; // { index, probability }, oldest first
+    let sinceSample = SAMPLE_INTERVAL; // The first frame takes a sample
+    let colors = null; // Read from the CSS when needed, reset when the theme changes
+
+    // Heading and canvas per chart; the histograms get a choice of values
+    const titles = {};
+    const canvases = {};
+    ['outputs', 'layers', 'timeline'].forEach(name => {
+        const heading = document.createElement('h2');
+        titles[name] = document.createElement('span');
+        heading.append(titles[name]);
+        canvases[name] = document.createElement('canvas');
+        canvases[name].setAttribute('role', 'img');
+        element.append(heading, canvases[name]);
+    });
+    const valueSelect = document.createElement('select');
+    valueSelect.append(...['activation', 'pulses'].map(value => Object.assign(document.createElement('option'), { value })));
+    valueSelect.value = values;
+    valueSelect.addEventListener('change', () => {
+        values = valueSelect.value;
+    });
+    titles.layers.after(' ', valueSelect);
+
+    function renderTexts() {
+        Object.entries(titles).forEach(([name, title]) => {
+            title.textContent = t(`dashboard.${name}`);
+        });
+        Array.from(valueSelect.options).forEach(option => {
+            option.textContent = t(`dashboard.${option.value}`);
+        });
+        canvases.layers.setAttribute('aria-label', t('dashboard.layers'));
+        canvases.timeline.setAttribute('aria-label', t('dashboard.timeline'));
+    }
+    renderTexts();
+
+    function readColors() {
+        const style = getComputedStyle(element);
+        const read = (name, fallback) => style.getPropertyValue(`--panel-${name}`).trim() || fallback;
+        return { text: read('text', '#fff'), highlight: read('highlight', '#0ff'), border: read('border', '#555') };
+    }
+
+    // Canvas at the device's resolution with the given height (CSS pixels) and the width the
+    // panel gives it; returns the cleared context and that width
+    function prepare(canvas, height) {
+        const width = canvas.clientWidth || 260;
+        const ratio = window.devicePixelRatio || 1;
+        if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+            canvas.width = Math.round(width * ratio);
+            canvas.height = Math.round(height * ratio);
+            canvas.style.height = `${height}px`;
+        }
+        const context = canvas.getContext('2d');
+        context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        context.clearRect(0, 0, width, height);
+        context.font = FONT;
+        context.textBaseline = 'middle';
+        return { context, width };
+    }
+
+    function drawOutputs() {
+        const { probabilities, labels } = visualizer;
+        const ranked = Array.from(probabilities, (_, i) => i)
+            .sort((a, b) => probabilities[b] - probabilities[a])
+            .slice(0, bars);
+        const { context, width } = prepare(canvases.outputs, ranked.length * ROW_HEIGHT);
+
+        const labelWidth = Math.min(80, Math.max(...ranked.map(i => context.measureText(labels[i]).width))) + 8;
+        const barWidth = width - labelWidth - 44;
+        ranked.forEach((index, row) => {
+            const y = row * ROW_HEIGHT;
+            const probability = probabilities[index];
+            context.fillStyle = index === visualizer.predictionIndex ? colors.highlight : colors.text;
+            context.textAlign = 'left';
+            context.fillText(labels[index], 0, y + ROW_HEIGHT / 2, labelWidth - 8);
+            context.textAlign = 'right';
+            context.fillText(`${(probability * 100).toFixed(1)}%`, width, y + ROW_HEIGHT / 2);
+
+            context.globalAlpha = index === visualizer.predictionIndex ? 1 : 0.5;
+            context.fillRect(labelWidth, y + 3, Math.max(1, barWidth * probability), ROW_HEIGHT - 6);
+            context.globalAlpha = 1;
+        });
+
+        // Text alternative: the three best scores
+        const summary = ranked.slice(0, 3).map(i => `${labels[i]} ${Math.round(probabilities[i] * 100)}%`).join(', ');
+        if (canvases.outputs.getAttribute('aria-label') !== summary) canvases.outputs.setAttribute('aria-label', summary);
+    }
+
+    // Square roots of the counts, so the many neurons near zero don't flatten the rest
+    function drawLayers() {
+        const hidden = [];
+        visualizer.neuronLayers.forEach((layer, layerIndex) => {
+            if (layer.kind === 'hidden') hidden.push(layerIndex);
+        });
+        const rowHeight = HISTOGRAM_HEIGHT + 16;
+        const { context, width } = prepare(canvases.layers, Math.max(1, hidden.length * rowHeight));
+        const counts = new Array(BINS);
+
+        hidden.forEach((layerIndex, row) => {
+            const layer = visualizer.neuronLayers[layerIndex];
+            // Activations are normalized per layer; the glow is what the neurons show, capped at 1
+            const source = values === 'pulses' ? layer.pulseIntensity : layer.activation;
+            counts.fill(0);
+            for (let i = 0; i < layer.count; i++) {
+                counts[Math.min(BINS - 1, Math.floor(Math.min(1, source[i]) * BINS))]++;
+            }
+            const highest = Math.sqrt(Math.max(...counts)) || 1;
+
+            const top = row * rowHeight;
+            context.fillStyle = colors.text;
+            context.textAlign = 'left';
+            context.fillText(visualizer.layerLabel(layerIndex), 0, top + 7, width);
+
+            const binWidth = width / BINS;
+            const bottom = top + rowHeight - 1;
+            context.fillStyle = colors.highlight;
+            counts.forEach((count, bin) => {
+                const height = Math.sqrt(count) / highest * HISTOGRAM_HEIGHT;
+                if (height > 0) context.fillRect(bin * binWidth + 1, bottom - height, binWidth - 2, height);
+            });
+            context.fillStyle = colors.border;
+            context.fillRect(0, bottom, width, 1);
+        });
+    }
+
+    // Newest sample at the right; the label is written where the prediction changes
+    function drawTimeline() {
+        const { context, width } = prepare(canvases.timeline, TIMELINE_HEIGHT);
+        const capacity = Math.round(history / SAMPLE_INTERVAL);
+        const columnWidth = width / capacity;
+        const chartTop = 14;
+        const chartBottom = TIMELINE_HEIGHT - 14;
+
+        context.fillStyle = colors.border;
+        context.fillRect(0, chartBottom, width, 1);
+        context.textAlign = 'center';
+        samples.forEach((sample, k) => {
+            const x = width - (samples.length - k) * columnWidth;
+            const height = sample.probability * (chartBottom - chartTop);
+            context.fillStyle = colors.highlight;
+            context.fillRect(x, chartBottom - height, Math.max(1, columnWidth - 1), height);
+            if (k === 0 || samples[k - 1].index !== sample.index) {
+                context.fillStyle = colors.text;
+                context.fillText(visualizer.labels[sample.index], x + columnWidth / 2, 6);
+            }
+        });
+
+        context.fillStyle = colors.text;
+        context.textAlign = 'left';
+        context.fillText(t('dashboard.ago', { seconds: history }), 0, TIMELINE_HEIGHT - 5);
+        context.textAlign = 'right';
+        context.fillText(t('dashboard.now'), width, TIMELINE_HEIGHT - 5);
+    }
+
+    // Samples go on while the panel is hidden, so the timeline is filled when it opens
+    function sample(delta) {
+        sinceSample += delta;
+        const capacity = Math.round(history / SAMPLE_INTERVAL);
+        while (sinceSample >= SAMPLE_INTERVAL) {
+            sinceSample -= SAMPLE_INTERVAL;
+            const index = visualizer.predictionIndex;
+            samples.push({ index, probability: visualizer.probabilities[index] });
+        }
+        if (samples.length > capacity) samples.splice(0, samples.length - capacity);
+    }
+
+    function draw() {
+        if (element.hidden || !visualizer.probabilities) return;
+        colors = colors || readColors();
+        drawOutputs();
+        drawLayers();
+        drawTimeline();
+    }
+
+    const listeners = new AbortController();
+    const { signal } = listeners;
+    visualizer.addEventListener('frame', (e) => {
+        sample(e.detail.delta);
+        draw();
+    }, { signal });
+    visualizer.addEventListener('configchange', (e) => {
+        const { overrides } = e.detail;
+        if ('language' in overrides) renderTexts();
+        if ('theme' in overrides || 'colors' in overrides) colors = null;
+    }, { signal });
+    // Labels of another network mean something else
+    visualizer.addEventListener('networkchange', () => {
+        samples.length = 0;
+        sinceSample = SAMPLE_INTERVAL;
+    }, { signal });
+
+    return {
+        draw,
+        get values() {
+            return values;
+        },
+        setValues(value) {
+            values = valueSelect.value = value;
+        },
+        dispose() {
+            listeners.abort();
+            element.replaceChildren();
+        }
+    };
+}
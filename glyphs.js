@@ -0,0 +1,68 @@
+// Built-in 4x4 bitmaps for the output alphabet (A-Z minus J), top row first.
+// '#' is a set bit ("1"), '.' an empty one ("0").
+export const LETTER_GLYPHS = {
+    A: ['.##.', '#..#', '####', '#..#'],
+    B: ['###.', '#.#.', '##.#', '###.'],
+    C: ['.###', '#...', '#...', '.###'],
+    D: ['###.', '#..#', '#..#', '###.'],
+    E: ['####', '#...', '###.', '####'],
+    F: ['####', '#...', '###.', '#...'],
+    G: ['.###', '#...', '#..#', '.###'],
+    H: ['#..#', '#..#', '####', '#..#'],
+    I: ['###.', '.#..', '.#..', '###.'],
+    K: ['#.#.', '##..', '##..', '#.#.'],
+    L: ['#...', '#...', '#...', '####'],
+    M: ['#..#', '####', '#..#', '#..#'],
+    N: ['#..#', '##.#', '#.##', '#..#'],
+    O: ['.##.', '#..#', '#..#', '.##.'],
+    P: ['###.', '#..#', '###.', '#...'],
+    Q: ['.##.', '#..#', '#.#.', '.#.#'],
+    R: ['###.', '#..#', '###.', '#..#'],
+    S: ['.###', '##..', '..##', '###.'],
+    T: ['####', '.#..', '.#..', '.#..'],
+    U: ['#..#', '#..#', '#..#', '.##.'],
+    V: ['#..#', '#..#', '.##.', '.##.'],
+    W: ['#..#', '#..#', '####', '.##.'],
+    X: ['#..#', '.##.', '.##.', '#..#'],
+    Y: ['#..#', '.##.', '.#..', '.#..'],
+    Z: ['####', '..#.', '.#..', '####']
+};
+
+// Convert a glyph to input bits. The input grid counts rows from the bottom,
+// so the top glyph row ends up at the highest row index.
+export function glyphToInput(rows) {
+    const bits = [];
+    for (let row = rows.length - 1; row >= 0; row--) {
+        for (const char of rows[row]) bits.push(char === '#' ? 1 : 0);
+    }
+    return bits;
+}
+
+// One clean sample per letter, plus copies with a single flipped bit so the
+// network also learns to cope with slightly wrong drawings
+export function createGlyphDataset(labels, { noisyCopies = true } = {}) {
+    const samples = [];
+    const letters = labels.filter(label => LETTER_GLYPHS[label]);
+
+    // Some glyphs are only one bit apart (C/G, P/R), such copies would contradict them
+    const cleanPatterns = new Set(letters.map(label => glyphToInput(LETTER_GLYPHS[label]).join('')));
+
+    labels.forEach((label, target) => {
+        const rows = LETTER_GLYPHS[label];
+        if (!rows) return;
+
+        const input = glyphToInput(rows);
+        samples.push({ input, target, label, clean: true });
+
+        if (noisyCopies) {
+            for (let i = 0; i < input.length; i++) {
+                const noisy = input.slice();
+                noisy[i] = 1 - noisy[i];
+                if (cleanPatterns.has(noisy.join(''))) continue;
+                samples.push({ input: noisy, target, label, clean: false });
+            }
+        }
+    });
+
+    return samples;
+}
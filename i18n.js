@@ -0,0 +1,335 @@
+// UI texts in English and German. Texts use {name} placeholders; a key missing in
+// one language falls back to English. Settings from a config file can also be
+// translated: either one text for all languages or { "en": "...", "de": "..." }.
+
+export const LANGUAGES = ['en', 'de'];
+
+const STRINGS = {
+    en: {
+        // Info panel
+        'info.title': 'Neural network',
+        'info.model': 'Model',
+        'info.parameters': 'Parameters',
+        'info.neurons': 'Neurons',
+        'info.connections': 'Connections',
+        'info.simulated': 'Simulated connections',
+        'info.drawn': 'Drawn connections',
+        'info.prediction': 'Prediction',
+        'info.shown': '{shown} of {total} shown',
+
+        // Training panel
+        'training.enter': 'Training mode',
+        'training.exit': 'Exit training mode',
+        'training.play': 'Play',
+        'training.pause': 'Pause',
+        'training.step': 'Step',
+        'training.reset': 'Reset',
+        'training.sample': 'Random letter',
+        'training.epoch': 'Epoch',
+        'training.loss': 'Loss',
+        'training.accuracy': 'Accuracy',
+        'training.steps': '{epoch} ({steps} steps)',
+        'training.accuracyValue': '{letters}% letters, {noisy}% with noise',
+
+        // Control panel
+        'controls.title': 'Controls',
+        'controls.pauseRotation': 'Pause Rotation',
+        'controls.resumeRotation': 'Resume Rotation',
+        'controls.resetCamera': 'Reset Camera',
+        'controls.hideConnections': 'Hide Connections',
+        'controls.showConnections': 'Show Connections',
+        'controls.rotationSpeed': 'Rotation speed',
+        'controls.connectionSampleRate': 'Connections',
+        'controls.connectionOpacity': 'Line opacity',
+        'controls.layerSpacing': 'Layer spacing',
+        'controls.pulseRate': 'Pulses per second',
+        'controls.language': 'Language',
+        'controls.theme': 'Theme',
+        'controls.reducedMotion': 'Reduced motion',
+        'theme.dark': 'Dark',
+        'theme.light': 'Light (projector)',
+        'theme.high-contrast': 'High contrast',
+        'theme.print': 'Print',
+        'controls.layout': 'Layout',
+        'layout.grid': '3D grid',
+        'layout.flat': 'Flat diagram (2D)',
+        'layout.cylinder': 'Cylinder',
+        'layout.exploded': 'Exploded',
+        'controls.quality': 'Quality',
+        'controls.overlay': 'Show statistics',
+        'controls.dashboard': 'Show dashboard',
+        'quality.auto': 'Automatic',
+
+        // Layer labels (exploded layout)
+        'layer.input': 'Input {shape}',
+        'layer.dense': 'Dense, {size} neurons',
+        'layer.conv': 'Convolution, {channels} × {shape}',
+        'layer.pool': 'Pooling, {channels} × {shape}',
+        'layer.attention': 'Attention, {tokens} tokens × {dim}',
+        'layer.output': 'Output, {size} classes',
+
+        // Guided tour
+        'tour.start': 'Start tour',
+        'tour.previous': 'Previous',
+        'tour.next': 'Next',
+        'tour.play': 'Play',
+        'tour.pause': 'Pause',
+        'tour.close': 'End tour',
+        'tour.step': 'Step {index} of {count}',
+
+        // Presenter/follower sync
+        'sync.title': 'Sync',
+        'sync.role': 'Role',
+        'sync.off': 'Off',
+        'sync.presenter': 'Presenter',
+        'sync.follower': 'Follower',
+        'sync.followers': '{count} following',
+        'sync.following': 'Following the presenter',
+        'sync.waiting': 'Waiting for the presenter…',
+        'sync.handover': 'Hand over control',
+
+        // Sound
+        'sound.title': 'Sound',
+        'sound.play': 'Play music',
+        'sound.pause': 'Pause music',
+        'sound.mute': 'Mute',
+        'sound.unmute': 'Unmute',
+        'sound.volume': 'Volume',
+        'sound.track': 'Track',
+        'sound.reactive': 'Pulses follow the beat',
+        'sound.tones': 'Output tones',
+        'sound.enable': 'Click to enable sound',
+
+        // Export
+        'export.title': 'Export',
+        'export.resolution': 'Resolution',
+        'export.fps': 'Frame rate',
+        'export.duration': 'Length (s)',
+        'export.overlay': 'Info panel',
+        'export.music': 'Music',
+        'export.record': 'Record video',
+        'export.stop': 'Stop recording',
+        'export.frames': 'Export PNG frames',
+        'export.recording': 'Recording…',
+        'export.progress': 'Frame {done} / {total}',
+
+        // Errors
+        'error.close': 'Close',
+        'error.config': 'Invalid configuration',
+        'error.model': 'Could not load model',
+        'error.file': 'Could not load "{name}"',
+        'error.export': 'Export failed',
+        'error.exportIncomplete': 'Export incomplete',
+        'error.tour': 'Could not load tour',
+        'error.sync': 'Sync connection lost',
+        'error.start': 'Could not start the visualization',
+
+        // Quality tiers and statistics overlay
+        'quality.low': 'Low',
+        'quality.medium': 'Medium',
+        'quality.high': 'High',
+        'quality.ultra': 'Ultra',
+        'quality.adaptive': '{tier} (automatic)',
+        'quality.fps': 'FPS: {value}',
+        'quality.calls': 'Draw calls: {value}',
+        'quality.tier': 'Quality: {tier}',
+        'quality.pulses': 'Pulses: {value}',
+        'dashboard.title': 'Dashboard',
+        'dashboard.outputs': 'Output scores',
+        'dashboard.layers': 'Hidden layers',
+        'dashboard.activation': 'Activation',
+        'dashboard.pulses': 'Pulse intensity',
+        'dashboard.timeline': 'Recent predictions',
+        'dashboard.ago': '{seconds} s ago',
+        'dashboard.now': 'now',
+
+        // Renderer notices
+        'renderer.fallback': 'WebGL is not available in this browser, so a simplified 2D view is shown: flat neurons without lighting, and large networks run slower.',
+        'renderer.contextLost': 'The graphics context was lost (e.g. after a GPU reset). Waiting for the browser to restore it…',
+
+        // Neuron tooltip
+        'tooltip.input': 'Input {index} (row {row}, column {column})',
+        'tooltip.hidden': 'Hidden layer {layer} of {layers}, neuron {index}',
+        'tooltip.conv': 'Convolution layer {layer}, feature map {map}, row {row}, column {column}',
+        'tooltip.pool': 'Pooling layer {layer}, feature map {map}, row {row}, column {column}',
+        'tooltip.attention': 'Attention layer {layer}, token {token}, dimension {dimension}',
+        'tooltip.output': 'Output {index} "{label}"',
+        'tooltip.activation': 'Activation: {value}',
+        'tooltip.probability': 'Probability: {percent}% (logit {logit})',
+        'tooltip.in': 'Connections in: {count} ({shown} shown)',
+        'tooltip.out': 'Connections out: {count} ({shown} shown)',
+
+        // Screen reader texts
+        'a11y.canvas': 'Neural network. Left and right arrow keys change the layer, up and down the neuron; Enter toggles an input or selects the neuron, Escape clears the selection.',
+        'a11y.inputGrid': 'Input {rows} by {cols}, from the top: {pattern}.',
+        'a11y.inputPixels': 'Input {rows} by {cols} pixels, {on} of {count} on.',
+        'a11y.prediction': 'Prediction: {label} ({percent}%).'
+    },
+    de: {
+        'info.title': 'Neuronales Netz',
+        'info.model': 'Modell',
+        'info.parameters': 'Parameter',
+        'info.neurons': 'Neuronen',
+        'info.connections': 'Verbindungen',
+        'info.simulated': 'Simulierte Verbindungen',
+        'info.drawn': 'Gezeichnete Verbindungen',
+        'info.prediction': 'Vorhersage',
+        'info.shown': '{shown} von {total} gezeigt',
+
+        'training.enter': 'Trainingsmodus',
+        'training.exit': 'Trainingsmodus beenden',
+        'training.play': 'Start',
+        'training.pause': 'Pause',
+        'training.step': 'Schritt',
+        'training.reset': 'Zurücksetzen',
+        'training.sample': 'Zufälliger Buchstabe',
+        'training.epoch': 'Epoche',
+        'training.loss': 'Loss',
+        'training.accuracy': 'Genauigkeit',
+        'training.steps': '{epoch} ({steps} Schritte)',
+        'training.accuracyValue': '{letters}% Buchstaben, {noisy}% mit Rauschen',
+
+        'controls.title': 'Steuerung',
+        'controls.pauseRotation': 'Rotation pausieren',
+        'controls.resumeRotation': 'Rotation fortsetzen',
+        'controls.resetCamera': 'Kamera zurücksetzen',
+        'controls.hideConnections': 'Verbindungen ausblenden',
+        'controls.showConnections': 'Verbindungen einblenden',
+        'controls.rotationSpeed': 'Rotationstempo',
+        'controls.connectionSampleRate': 'Verbindungen',
+        'controls.connectionOpacity': 'Linien-Deckkraft',
+        'controls.layerSpacing': 'Layer-Abstand',
+        'controls.pulseRate': 'Pulse pro Sekunde',
+        'controls.language': 'Sprache',
+        'controls.theme': 'Farbschema',
+        'controls.reducedMotion': 'Weniger Bewegung',
+        'theme.dark': 'Dunkel',
+        'theme.light': 'Hell (Beamer)',
+        'theme.high-contrast': 'Hoher Kontrast',
+        'theme.print': 'Druck',
+        'controls.layout': 'Anordnung',
+        'layout.grid': '3D-Gitter',
+        'layout.flat': 'Flaches Diagramm (2D)',
+        'layout.cylinder': 'Zylinder',
+        'layout.exploded': 'Explosionsansicht',
+        'controls.quality': 'Qualität',
+        'controls.overlay': 'Statistik anzeigen',
+        'controls.dashboard': 'Dashboard anzeigen',
+        'quality.auto': 'Automatisch',
+
+        'layer.input': 'Eingabe {shape}',
+        'layer.dense': 'Dense, {size} Neuronen',
+        'layer.conv': 'Faltung, {channels} × {shape}',
+        'layer.pool': 'Pooling, {channels} × {shape}',
+        'layer.attention': 'Attention, {tokens} Tokens × {dim}',
+        'layer.output': 'Ausgabe, {size} Klassen',
+
+        'tour.start': 'Tour starten',
+        'tour.previous': 'Zurück',
+        'tour.next': 'Weiter',
+        'tour.play': 'Abspielen',
+        'tour.pause': 'Pause',
+        'tour.close': 'Tour beenden',
+        'tour.step': 'Schritt {index} von {count}',
+
+        'sync.title': 'Synchronisierung',
+        'sync.role': 'Rolle',
+        'sync.off': 'Aus',
+        'sync.presenter': 'Präsentation',
+        'sync.follower': 'Zuschauer',
+        'sync.followers': '{count} folgen',
+        'sync.following': 'Folgt der Präsentation',
+        'sync.waiting': 'Warte auf die Präsentation…',
+        'sync.handover': 'Steuerung übergeben',
+
+        'sound.title': 'Ton',
+        'sound.play': 'Musik abspielen',
+        'sound.pause': 'Musik pausieren',
+        'sound.mute': 'Stumm',
+        'sound.unmute': 'Ton an',
+        'sound.volume': 'Lautstärke',
+        'sound.track': 'Titel',
+        'sound.reactive': 'Pulse folgen dem Beat',
+        'sound.tones': 'Töne der Ausgaben',
+        'sound.enable': 'Klicken, um den Ton einzuschalten',
+
+        'export.title': 'Export',
+        'export.resolution': 'Auflösung',
+        'export.fps': 'Bildrate',
+        'export.duration': 'Länge (s)',
+        'export.overlay': 'Info-Panel',
+        'export.music': 'Musik',
+        'export.record': 'Video aufnehmen',
+        'export.stop': 'Aufnahme beenden',
+        'export.frames': 'PNG-Einzelbilder exportieren',
+        'export.recording': 'Aufnahme läuft…',
+        'export.progress': 'Bild {done} / {total}',
+
+        'error.close': 'Schließen',
+        'error.config': 'Ungültige Konfiguration',
+        'error.model': 'Modell konnte nicht geladen werden',
+        'error.file': '„{name}“ konnte nicht geladen werden',
+        'error.export': 'Export fehlgeschlagen',
+        'error.exportIncomplete': 'Export unvollständig',
+        'error.tour': 'Tour konnte nicht geladen werden',
+        'error.sync': 'Sync-Verbindung verloren',
+        'error.start': 'Die Visualisierung konnte nicht starten',
+
+        'quality.low': 'Niedrig',
+        'quality.medium': 'Mittel',
+        'quality.high': 'Hoch',
+        'quality.ultra': 'Sehr hoch',
+        'quality.adaptive': '{tier} (automatisch)',
+        'quality.fps': 'FPS: {value}',
+        'quality.calls': 'Draw Calls: {value}',
+        'quality.tier': 'Qualität: {tier}',
+        'quality.pulses': 'Pulse: {value}',
+        'dashboard.title': 'Dashboard',
+        'dashboard.outputs': 'Ausgabewerte',
+        'dashboard.layers': 'Hidden-Layer',
+        'dashboard.activation': 'Aktivierung',
+        'dashboard.pulses': 'Pulsstärke',
+        'dashboard.timeline': 'Letzte Vorhersagen',
+        'dashboard.ago': 'vor {seconds} s',
+        'dashboard.now': 'jetzt',
+
+        'renderer.fallback': 'WebGL ist in diesem Browser nicht verfügbar, daher wird eine vereinfachte 2D-Ansicht gezeigt: flache Neuronen ohne Beleuchtung, große Netze laufen langsamer.',
+        'renderer.contextLost': 'Der Grafikkontext ging verloren (z. B. nach einem GPU-Reset). Warte, bis der Browser ihn wiederherstellt…',
+
+        'tooltip.input': 'Eingang {index} (Zeile {row}, Spalte {column})',
+        'tooltip.hidden': 'Hidden-Layer {layer} von {layers}, Neuron {index}',
+        'tooltip.conv': 'Faltungs-Layer {layer}, Feature-Map {map}, Zeile {row}, Spalte {column}',
+        'tooltip.pool': 'Pooling-Layer {layer}, Feature-Map {map}, Zeile {row}, Spalte {column}',
+        'tooltip.attention': 'Attention-Layer {layer}, Token {token}, Dimension {dimension}',
+        'tooltip.output': 'Ausgang {index} „{label}“',
+        'tooltip.activation': 'Aktivierung: {value}',
+        'tooltip.probability': 'Wahrscheinlichkeit: {percent}% (Logit {logit})',
+        'tooltip.in': 'Eingehende Verbindungen: {count} ({shown} gezeigt)',
+        'tooltip.out': 'Ausgehende Verbindungen: {count} ({shown} gezeigt)',
+
+        'a11y.canvas': 'Neuronales Netz. Pfeiltasten links und rechts wechseln den Layer, hoch und runter das Neuron; Enter schaltet einen Eingang um oder wählt das Neuron aus, Escape hebt die Auswahl auf.',
+        'a11y.inputGrid': 'Eingabe {rows} mal {cols}, von oben: {pattern}.',
+        'a11y.inputPixels': 'Eingabe {rows} mal {cols} Pixel, {on} von {count} an.',
+        'a11y.prediction': 'Vorhersage: {label} ({percent}%).'
+    }
+};
+
+export function translate(language, key, values = {}) {
+    const text = (STRINGS[language] && STRINGS[language][key]) || STRINGS.en[key] || key;
+    return text.replace(/\{(\w+)\}/g, (match, name) => (name in values ? String(values[name]) : match));
+}
+
+// A configured text: the same for every language, or one per language
+export function localize(text, language) {
+    if (text === null || typeof text !== 'object') return text;
+    return text[language] || text.en || Object.values(text)[0];
+}
+
+// First supported language of the browser's preferences ('en' if none)
+export function preferredLanguage(languages = navigator.languages || [navigator.language]) {
+    for (const tag of languages) {
+        const language = String(tag).slice(0, 2).toLowerCase();
+        if (LANGUAGES.includes(language)) return language;
+    }
+    return 'en';
+}
@@ -0,0 +1,84 @@
+import * as THREE from 'three';
+
+// GPU-side building blocks: one draw call per hidden layer and one for all connections.
+// The visualizer writes into the typed arrays behind these and flags them for upload.
+
+// Adds a per-instance emissive color (attribute `instanceEmissive`) on top of the
+// material's own emissive, so every neuron of an InstancedMesh can glow differently
+export function enableInstanceEmissive(material) {
+    material.onBeforeCompile = (shader) => {
+        shader.vertexShader = shader.vertexShader
+            .replace('#include <common>', '#include <common>\nattribute vec3 instanceEmissive;\nvarying vec3 vInstanceEmissive;')
+            .replace('#include <begin_vertex>', '#include <begin_vertex>\nvInstanceEmissive = instanceEmissive;');
+        shader.fragmentShader = shader.fragmentShader
+            .replace('#include <common>', '#include <common>\nvarying vec3 vInstanceEmissive;')
+            .replace('vec3 totalEmissiveRadiance = emissive;', 'vec3 totalEmissiveRadiance = emissive + vInstanceEmissive;');
+    };
+    // Keep the patched program apart from unpatched ones of the same material type
+    material.customProgramCacheKey = () => 'instanceEmissive';
+    return material;
+}
+
+// Order of the neurons as instances: every prefix is spread over the whole layer, so
+// drawing only the first instances (mesh.count) thins the layer out evenly.
+// Steps through the neurons by a stride near the golden ratio that shares no divisor with count.
+export function spreadOrder(count) {
+    const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+    let stride = Math.max(1, Math.round(count * 0.618));
+    while (gcd(stride, count) !== 1) stride++;
+
+    const order = new Int32Array(count);
+    for (let k = 0; k < count; k++) order[k] = (k * stride) % count;
+    return order;
+}
+
+// positions: Float32Array (x, y, z per neuron); scale applies to every instance;
+// order: neuron of each instance (see spreadOrder)
+export function createNeuronInstances(geometry, material, positions, scale, order) {
+    const count = positions.length / 3;
+    // Own copy of the geometry, the emissive attribute belongs to this layer only
+    const mesh = new THREE.InstancedMesh(geometry.clone(), material, count);
+    setInstancePositions(mesh, positions, scale, order);
+
+    const emissive = new THREE.InstancedBufferAttribute(new Float32Array(count * 3), 3);
+    emissive.setUsage(THREE.DynamicDrawUsage);
+    mesh.geometry.setAttribute('instanceEmissive', emissive);
+
+    return mesh;
+}
+
+// Move the instances, e.g. while the layout changes
+export function setInstancePositions(mesh, positions, scale, order) {
+    const matrix = new THREE.Matrix4();
+    for (let k = 0; k < order.length; k++) {
+        const i = order[k];
+        matrix.makeScale(scale, scale, scale);
+        matrix.setPosition(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]);
+        mesh.setMatrixAt(k, matrix);
+    }
+    mesh.instanceMatrix.needsUpdate = true;
+    mesh.boundingSphere = null; // Frustum culling recomputes it from the new positions
+}
+
+// All connections as line segments with an RGBA color per vertex
+export function createConnectionSegments(count, material) {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(count * 6), 3));
+
+    const colors = new THREE.BufferAttribute(new Float32Array(count * 8), 4);
+    colors.setUsage(THREE.DynamicDrawUsage);
+    geometry.setAttribute('color', colors);
+
+    const segments = new THREE.LineSegments(geometry, material);
+    segments.frustumCulled = false; // Bounds change when the layout does, and it spans the scene anyway
+    return segments;
+}
+
+// Same RGBA on both vertices of connection i
+export function setSegmentColor(colors, i, r, g, b, a) {
+    const offset = i * 8;
+    colors[offset] = colors[offset + 4] = r;
+    colors[offset + 1] = colors[offset + 5] = g;
+    colors[offset + 2] = colors[offset + 6] = b;
+    colors[offset + 3] = colors[offset + 7] = a;
+}
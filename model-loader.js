@@ -0,0 +1,125 @@
+import { createDenseNetwork, ACTIVATIONS } from './network.js';
+
+// Model file format (JSON):
+// {
+//     "layers": [16, 32, 25],             // neurons per layer
+//     "weights": [[[...16], ...32 rows], ...], // weights[l][j][i]: neuron i of layer l -> neuron j of layer l + 1
+//     "biases": [[...32], [...25]],       // one list per non-input layer
+//     "labels": ["A", "B", ...],          // one label per output neuron
+//     "activation": "relu"                // optional: relu, sigmoid or tanh
+// }
+
+// Validate a parsed model file and turn it into a network.
+// Throws an Error whose `problems` lists everything that is wrong with the file.
+export function parseModel(data) {
+    const problems = [];
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw modelError(['The file does not contain a JSON object.']);
+    }
+
+    const { layers, weights, biases, labels } = data;
+    const activation = data.activation ?? 'relu';
+
+    if (!Array.isArray(layers) || layers.length < 2) {
+        problems.push('"layers" must be a list of at least two layer sizes.');
+    } else if (!layers.every(n => Number.isInteger(n) && n > 0)) {
+        problems.push('"layers" may only contain positive integers.');
+    }
+    if (!Array.isArray(weights)) problems.push('"weights" is missing or not a list.');
+    if (!Array.isArray(biases)) problems.push('"biases" is missing or not a list.');
+    if (!Array.isArray(labels)) problems.push('"labels" is missing or not a list.');
+    if (!(activation in ACTIVATIONS)) {
+        problems.push(`Unknown activation "${activation}" (allowed: ${Object.keys(ACTIVATIONS).join(', ')}).`);
+    }
+
+    // Sizes can only be compared once the basic structure is right
+    if (problems.length > 0) throw modelError(problems);
+
+    const layerCount = layers.length - 1;
+    if (weights.length !== layerCount) {
+        problems.push(`"weights" has ${weights.length} matrices, expected ${layerCount}.`);
+    }
+    if (biases.length !== layerCount) {
+        problems.push(`"biases" has ${biases.length} lists, expected ${layerCount}.`);
+    }
+    if (labels.length !== layers[layers.length - 1]) {
+        problems.push(`"labels" has ${labels.length} entries, but the output layer has ${layers[layers.length - 1]} neurons.`);
+    }
+
+    for (let l = 0; l < Math.min(layerCount, weights.length); l++) {
+        const inSize = layers[l];
+        const outSize = layers[l + 1];
+        const matrix = weights[l];
+
+        if (!Array.isArray(matrix) || matrix.length !== outSize) {
+            problems.push(`weights[${l}] must have ${outSize} rows (one per neuron in layer ${l + 1}).`);
+            continue;
+        }
+        const badRow = matrix.findIndex(row => !isNumberList(row, inSize));
+        if (badRow !== -1) {
+            problems.push(`weights[${l}][${badRow}] must contain ${inSize} numbers.`);
+        }
+    }
+
+    for (let l = 0; l < Math.min(layerCount, biases.length); l++) {
+        if (!isNumberList(biases[l], layers[l + 1])) {
+            problems.push(`biases[${l}] must contain ${layers[l + 1]} numbers.`);
+        }
+    }
+
+    if (problems.length > 0) throw modelError(problems);
+
+    return {
+        network: createDenseNetwork(layers, weights, biases, activation),
+        labels: labels.map(String)
+    };
+}
+
+// The model file of a network in which every neuron is connected to every neuron of the
+// layer before, in index order (a loaded model); parseModel() turns it back into the network
+export function serializeModel(network, labels) {
+    return {
+        layers: network.sizes.slice(),
+        weights: network.layers.map(layer => Array.from({ length: layer.outSize }, (_, j) =>
+            Array.from(layer.weights.subarray(layer.offsets[j], layer.offsets[j + 1])))),
+        biases: network.layers.map(layer => Array.from(layer.biases)),
+        labels: labels.slice(),
+        activation: network.activation
+    };
+}
+
+export async function loadModelFromUrl(url) {
+    let response;
+    try {
+        response = await fetch(url);
+    } catch (err) {
+        throw modelError([`Could not load model "${url}": ${err.message}`]);
+    }
+    if (!response.ok) {
+        throw modelError([`Could not load model "${url}" (HTTP ${response.status}).`]);
+    }
+    return parseModel(parseJson(await response.text()));
+}
+
+export async function loadModelFromFile(file) {
+    return parseModel(parseJson(await file.text()));
+}
+
+function parseJson(text) {
+    try {
+        return JSON.parse(text);
+    } catch (err) {
+        throw modelError([`Invalid JSON: ${err.message}`]);
+    }
+}
+
+function isNumberList(values, length) {
+    return Array.isArray(values) && values.length === length && values.every(Number.isFinite);
+}
+
+function modelError(problems) {
+    const error = new Error(problems.join('\n'));
+    error.problems = problems;
+    return error;
+}
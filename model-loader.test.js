@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseModel, serializeModel } from './model-loader.js';
+import { createRandomNetwork, forward } from './network.js';
+import { createRandom } from './pulse-simulation.js';
+
+// Model files, run with `node --test`
+
+const MODEL = {
+    layers: [3, 2, 2],
+    weights: [[[0.5, -1, 0.25], [1, 0, -0.5]], [[2, -2], [-1, 1]]],
+    biases: [[0.125, 0], [0, -0.5]],
+    labels: ['yes', 'no'],
+    activation: 'tanh'
+};
+
+test('a parsed model serializes back to the same file', () => {
+    const { network, labels } = parseModel(MODEL);
+    assert.deepEqual(serializeModel(network, labels), MODEL);
+});
+
+test('a fully connected network goes through JSON and computes the same', () => {
+    const network = createRandomNetwork([16, 8, 5], Infinity, createRandom(3));
+    const labels = ['A', 'B', 'C', 'D', 'E'];
+    const copy = parseModel(JSON.parse(JSON.stringify(serializeModel(network, labels))));
+
+    assert.deepEqual(copy.labels, labels);
+    copy.network.layers.forEach((layer, l) => {
+        assert.deepEqual(layer.weights, network.layers[l].weights);
+        assert.deepEqual(layer.biases, network.layers[l].biases);
+        assert.deepEqual(layer.indices, network.layers[l].indices);
+    });
+    const input = Array.from({ length: 16 }, (_, i) => i % 3 === 0 ? 1 : 0);
+    assert.deepEqual(forward(copy.network, input), forward(network, input));
+});
+
+test('every problem of a broken model is listed', () => {
+    const broken = { ...MODEL, weights: [[[0.5, -1], [1, 0, -0.5]], MODEL.weights[1]], labels: ['yes'], activation: 'softsign' };
+    assert.throws(() => parseModel(broken), (err) => {
+        assert.deepEqual(err.problems, ['Unknown activation "softsign" (allowed: relu, sigmoid, tanh).']);
+        return true;
+    });
+    assert.throws(() => parseModel({ ...broken, activation: 'relu' }), (err) => {
+        assert.deepEqual(err.problems, [
+            '"labels" has 1 entries, but the output layer has 2 neurons.',
+            'weights[0][0] must contain 3 numbers.'
+        ]);
+        return true;
+    });
+});
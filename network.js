@@ -0,0 +1,424 @@
+// Small multilayer perceptron behind the animation.
+// Each weight layer is stored as compressed sparse rows (one row per target
+// neuron), so sparsely wired demo networks and fully connected ones share
+// the same forward pass. Convolution, pooling and attention layers use the
+// same rows: a kernel window, a pooling window or the tokens attended to.
+
+// A layer in a `layers` list is a neuron count (dense) or a descriptor:
+//   { type: 'dense', size }
+//   { type: 'conv', filters, kernel: 3, stride: 1 }   feature maps over the previous grid, no padding
+//   { type: 'pool', window: 2 }                        max pooling of each feature map
+//   { type: 'attention', tokens }                      self-attention over `tokens` equal slices of the previous layer
+export const LAYER_TYPES = ['dense', 'conv', 'pool', 'attention'];
+
+// Sizes and shapes of all layers ({ type, size } plus rows, cols, channels for grids
+// and tokens, dim for attention). The input is a neuron count laid out as inputShape
+// or as square as possible; convolution and pooling need a full grid before them.
+// Throws an Error whose `problems` lists every layer that does not fit.
+export function resolveLayers(layers, inputShape = null) {
+    const problems = [];
+    const resolved = [];
+
+    layers.forEach((layer, l) => {
+        const spec = typeof layer === 'number' ? { type: 'dense', size: layer } : { ...layer };
+        const previous = resolved[l - 1];
+        const name = `layers[${l}]`;
+
+        // The same checks as the configuration's, for layer lists that don't come through it
+        const required = { dense: 'size', conv: 'filters', attention: 'tokens' }[spec.type];
+        if (!LAYER_TYPES.includes(spec.type)) {
+            problems.push(`${name}: unknown layer type ${JSON.stringify(spec.type)}, use ${LAYER_TYPES.join(', ')}.`);
+            resolved.push({ type: 'dense', size: spec.size || 0 });
+            return;
+        }
+        if (required && !(Number.isInteger(spec[required]) && spec[required] > 0)) {
+            problems.push(`${name}: a ${spec.type} layer needs "${required}" as a whole number above 0.`);
+            resolved.push({ type: 'dense', size: previous ? previous.size : 0 });
+            return;
+        }
+
+        if (l === 0) {
+            if (spec.type !== 'dense') problems.push(`${name}: the input layer must be a neuron count.`);
+            const count = spec.size || 0;
+            const cols = inputShape && inputShape[0] * inputShape[1] === count ? inputShape[1] : Math.ceil(Math.sqrt(count));
+            const rows = Math.ceil(count / cols);
+            // Only a full grid has a spatial shape for convolutions
+            resolved.push(rows * cols === count ? { type: 'input', size: count, rows, cols, channels: 1 } : { type: 'input', size: count });
+            return;
+        }
+        if (l === layers.length - 1 && spec.type !== 'dense') {
+            problems.push(`${name}: the output layer must be a neuron count (dense).`);
+        }
+
+        if (spec.type === 'conv' || spec.type === 'pool') {
+            if (!previous.rows) {
+                problems.push(`${name}: ${spec.type} needs a grid before it (a full input grid, conv or pool).`);
+                resolved.push({ ...spec, size: previous.size });
+                return;
+            }
+            const window = spec.type === 'conv' ? spec.kernel ?? 3 : spec.window ?? 2;
+            const stride = spec.type === 'conv' ? spec.stride ?? 1 : window;
+            const rows = Math.floor((previous.rows - window) / stride) + 1;
+            const cols = Math.floor((previous.cols - window) / stride) + 1;
+            const channels = spec.type === 'conv' ? spec.filters : previous.channels;
+            if (rows < 1 || cols < 1) {
+                problems.push(`${name}: the ${window}x${window} window is larger than the ${previous.rows}x${previous.cols} grid before it.`);
+                resolved.push({ ...spec, size: previous.size });
+                return;
+            }
+            resolved.push(spec.type === 'conv'
+                ? { type: 'conv', filters: channels, kernel: window, stride, size: channels * rows * cols, rows, cols, channels }
+                : { type: 'pool', window, size: channels * rows * cols, rows, cols, channels });
+        } else if (spec.type === 'attention') {
+            if (previous.size % spec.tokens !== 0) {
+                problems.push(`${name}: ${previous.size} neurons cannot be split into ${spec.tokens} tokens.`);
+            }
+            resolved.push({ type: 'attention', tokens: spec.tokens, dim: Math.floor(previous.size / spec.tokens), size: previous.size });
+        } else {
+            resolved.push({ type: 'dense', size: spec.size });
+        }
+    });
+
+    if (problems.length > 0) {
+        const error = new Error(problems.join('\n'));
+        error.problems = problems;
+        throw error;
+    }
+    return resolved;
+}
+
+// Parameters and connections of the full architecture from resolved layer specs, however
+// sparsely the network behind the animation is wired:
+//   dense       in × out weights plus one bias per neuron
+//   conv        one kernel (kernel² × input channels) and one bias per filter, shared by all positions
+//   pool        no parameters, a window per neuron
+//   attention   query and key projections (dim × dim each), every token per neuron
+export function networkSize(specs) {
+    let parameters = 0;
+    let connections = 0;
+    for (let l = 1; l < specs.length; l++) {
+        const spec = specs[l];
+        const previous = specs[l - 1];
+        if (spec.type === 'conv') {
+            const kernel = spec.kernel * spec.kernel * previous.channels;
+            parameters += spec.filters * (kernel + 1);
+            connections += spec.size * kernel;
+        } else if (spec.type === 'pool') {
+            connections += spec.size * spec.window * spec.window;
+        } else if (spec.type === 'attention') {
+            parameters += 2 * spec.dim * spec.dim;
+            connections += spec.size * spec.tokens;
+        } else {
+            parameters += previous.size * spec.size + spec.size;
+            connections += previous.size * spec.size;
+        }
+    }
+    return { parameters, connections };
+}
+
+// layers: neuron counts or descriptors, see resolveLayers(); fanIn applies to dense layers
+// random: source of numbers in [0, 1), pass a seeded one for a reproducible network
+export function createRandomNetwork(layerList, fanIn = 64, random = Math.random, inputShape = null) {
+    const specs = resolveLayers(layerList, inputShape);
+    const layers = [];
+
+    for (let l = 1; l < specs.length; l++) {
+        const spec = specs[l];
+        if (spec.type === 'conv') {
+            layers.push(createConvLayer(specs[l - 1], spec, random));
+            continue;
+        }
+        if (spec.type === 'pool') {
+            layers.push(createPoolLayer(specs[l - 1], spec));
+            continue;
+        }
+        if (spec.type === 'attention') {
+            layers.push(createAttentionLayer(spec, random));
+            continue;
+        }
+
+        const inSize = specs[l - 1].size;
+        const outSize = spec.size;
+        const rowLength = Math.min(inSize, fanIn);
+        const limit = Math.sqrt(6 / rowLength); // He-uniform range for ReLU
+
+        const offsets = new Int32Array(outSize + 1);
+        const indices = new Int32Array(outSize * rowLength);
+        const weights = new Float32Array(outSize * rowLength);
+        const biases = new Float32Array(outSize);
+
+        for (let j = 0; j < outSize; j++) {
+            const start = j * rowLength;
+            const sources = pickSources(inSize, rowLength, random);
+            offsets[j] = start;
+            for (let k = 0; k < rowLength; k++) {
+                indices[start + k] = sources[k];
+                weights[start + k] = (random() * 2 - 1) * limit;
+            }
+        }
+        offsets[outSize] = outSize * rowLength;
+
+        layers.push({ inSize, outSize, offsets, indices, weights, biases });
+    }
+
+    return { sizes: specs.map(spec => spec.size), layers, activation: 'relu' };
+}
+
+// One row per output neuron (filter, row, col) over its kernel window in every input
+// channel. The filter's kernel is shared by all its rows, each row holds a copy.
+function createConvLayer(input, spec, random) {
+    const { filters, kernel, stride, rows, cols } = spec;
+    const rowLength = input.channels * kernel * kernel;
+    const limit = Math.sqrt(6 / rowLength);
+    const kernels = Float32Array.from({ length: filters * rowLength }, () => (random() * 2 - 1) * limit);
+
+    const outSize = spec.size;
+    const offsets = new Int32Array(outSize + 1);
+    const indices = new Int32Array(outSize * rowLength);
+    const weights = new Float32Array(outSize * rowLength);
+
+    for (let j = 0; j < outSize; j++) {
+        const filter = Math.floor(j / (rows * cols));
+        const row = Math.floor(j / cols) % rows;
+        const col = j % cols;
+        let k = j * rowLength;
+        offsets[j] = k;
+
+        for (let channel = 0; channel < input.channels; channel++) {
+            for (let kr = 0; kr < kernel; kr++) {
+                for (let kc = 0; kc < kernel; kc++) {
+                    indices[k] = (channel * input.rows + row * stride + kr) * input.cols + col * stride + kc;
+                    weights[k] = kernels[filter * rowLength + k - offsets[j]];
+                    k++;
+                }
+            }
+        }
+    }
+    offsets[outSize] = outSize * rowLength;
+
+    return {
+        type: 'conv',
+        filters, // Rows 0.. belong to filter 0, the next outSize / filters rows to filter 1 and so on
+        inSize: input.size,
+        outSize,
+        offsets,
+        indices,
+        weights,
+        biases: new Float32Array(outSize)
+    };
+}
+
+// One row per output neuron over its window of the same channel; the weights are
+// only drawn, forward() takes the maximum
+function createPoolLayer(input, spec) {
+    const { window, rows, cols } = spec;
+    const rowLength = window * window;
+    const outSize = spec.size;
+    const offsets = new Int32Array(outSize + 1);
+    const indices = new Int32Array(outSize * rowLength);
+
+    for (let j = 0; j < outSize; j++) {
+        const channel = Math.floor(j / (rows * cols));
+        const row = Math.floor(j / cols) % rows;
+        const col = j % cols;
+        let k = j * rowLength;
+        offsets[j] = k;
+
+        for (let wr = 0; wr < window; wr++) {
+            for (let wc = 0; wc < window; wc++) {
+                indices[k++] = (channel * input.rows + row * window + wr) * input.cols + col * window + wc;
+            }
+        }
+    }
+    offsets[outSize] = outSize * rowLength;
+
+    return {
+        type: 'pool',
+        inSize: input.size,
+        outSize,
+        offsets,
+        indices,
+        weights: new Float32Array(outSize * rowLength).fill(1),
+        biases: new Float32Array(outSize)
+    };
+}
+
+// Neuron i of token t reads dimension i of every token s (row t * dim + i, entry s).
+// The weights are the attention of t to s; they depend on the input, so forward()
+// writes them for every pass.
+function createAttentionLayer(spec, random) {
+    const { tokens, dim } = spec;
+    const size = spec.size;
+    const limit = Math.sqrt(6 / dim);
+    const projection = () => Float32Array.from({ length: dim * dim }, () => (random() * 2 - 1) * limit);
+
+    const offsets = new Int32Array(size + 1);
+    const indices = new Int32Array(size * tokens);
+    for (let j = 0; j < size; j++) {
+        offsets[j] = j * tokens;
+        for (let s = 0; s < tokens; s++) indices[j * tokens + s] = s * dim + j % dim;
+    }
+    offsets[size] = size * tokens;
+
+    return {
+        type: 'attention',
+        inSize: size,
+        outSize: size,
+        tokens,
+        dim,
+        offsets,
+        indices,
+        weights: new Float32Array(size * tokens).fill(1 / tokens),
+        biases: new Float32Array(size),
+        query: projection(),
+        key: projection()
+    };
+}
+
+// Fully connected network from nested arrays: weights[l][j][i] connects
+// neuron i of layer l to neuron j of layer l + 1
+export function createDenseNetwork(layerSizes, weights, biases, activation = 'relu') {
+    const layers = [];
+
+    for (let l = 1; l < layerSizes.length; l++) {
+        const inSize = layerSizes[l - 1];
+        const outSize = layerSizes[l];
+        const offsets = new Int32Array(outSize + 1);
+        const indices = new Int32Array(outSize * inSize);
+        const flat = new Float32Array(outSize * inSize);
+
+        for (let j = 0; j < outSize; j++) {
+            offsets[j] = j * inSize;
+            for (let i = 0; i < inSize; i++) {
+                indices[j * inSize + i] = i;
+                flat[j * inSize + i] = weights[l - 1][j][i];
+            }
+        }
+        offsets[outSize] = outSize * inSize;
+
+        layers.push({ inSize, outSize, offsets, indices, weights: flat, biases: Float32Array.from(biases[l - 1]) });
+    }
+
+    return { sizes: layerSizes.slice(), layers, activation };
+}
+
+export const ACTIVATIONS = {
+    relu: x => Math.max(0, x),
+    sigmoid: x => 1 / (1 + Math.exp(-x)),
+    tanh: x => Math.tanh(x)
+};
+
+// Distinct random source indices, sorted; all of them when the row is full
+function pickSources(inSize, count, random) {
+    if (count >= inSize) {
+        return Array.from({ length: inSize }, (_, i) => i);
+    }
+    const picked = new Set();
+    while (picked.size < count) {
+        picked.add(Math.floor(random() * inSize));
+    }
+    return Array.from(picked).sort((a, b) => a - b);
+}
+
+// Returns the activations of every layer, input included.
+// Hidden layers use the network's activation, the last layer returns raw logits.
+// Pooling and attention layers pass their result on without an activation.
+export function forward(network, input) {
+    const activations = [Float32Array.from(input)];
+    const lastLayer = network.layers.length - 1;
+    const activate = ACTIVATIONS[network.activation];
+
+    network.layers.forEach((layer, l) => {
+        const previous = activations[l];
+        const output = new Float32Array(layer.outSize);
+
+        if (layer.type === 'pool') {
+            for (let j = 0; j < layer.outSize; j++) {
+                let max = -Infinity;
+                for (let k = layer.offsets[j]; k < layer.offsets[j + 1]; k++) max = Math.max(max, previous[layer.indices[k]]);
+                output[j] = max;
+            }
+            activations.push(output);
+            return;
+        }
+        if (layer.type === 'attention') {
+            attend(layer, previous, output);
+            activations.push(output);
+            return;
+        }
+
+        for (let j = 0; j < layer.outSize; j++) {
+            let sum = layer.biases[j];
+            for (let k = layer.offsets[j]; k < layer.offsets[j + 1]; k++) {
+                sum += layer.weights[k] * previous[layer.indices[k]];
+            }
+            output[j] = l === lastLayer ? sum : activate(sum);
+        }
+
+        activations.push(output);
+    });
+
+    return activations;
+}
+
+// Scaled dot-product attention with the tokens themselves as values: every token
+// mixes all tokens by softmax(query . key / sqrt(dim)). Stores the attention in weights.
+function attend(layer, previous, output) {
+    const { tokens, dim, query, key, offsets, weights } = layer;
+    const project = (matrix) => {
+        const result = new Float32Array(tokens * dim);
+        for (let t = 0; t < tokens; t++) {
+            for (let i = 0; i < dim; i++) {
+                let sum = 0;
+                for (let k = 0; k < dim; k++) sum += matrix[i * dim + k] * previous[t * dim + k];
+                result[t * dim + i] = sum;
+            }
+        }
+        return result;
+    };
+    const queries = project(query);
+    const keys = project(key);
+    const scores = new Float32Array(tokens);
+    const scale = 1 / Math.sqrt(dim);
+
+    for (let t = 0; t < tokens; t++) {
+        for (let s = 0; s < tokens; s++) {
+            let dot = 0;
+            for (let i = 0; i < dim; i++) dot += queries[t * dim + i] * keys[s * dim + i];
+            scores[s] = dot * scale;
+        }
+        const attention = softmax(scores);
+
+        for (let i = 0; i < dim; i++) {
+            const row = t * dim + i;
+            let sum = 0;
+            for (let s = 0; s < tokens; s++) {
+                weights[offsets[row] + s] = attention[s];
+                sum += attention[s] * previous[s * dim + i];
+            }
+            output[row] = sum;
+        }
+    }
+}
+
+export function softmax(values) {
+    let max = -Infinity;
+    for (let i = 0; i < values.length; i++) max = Math.max(max, values[i]);
+
+    const result = new Float32Array(values.length);
+    let sum = 0;
+    for (let i = 0; i < values.length; i++) {
+        result[i] = Math.exp(values[i] - max);
+        sum += result[i];
+    }
+    for (let i = 0; i < values.length; i++) result[i] /= sum;
+    return result;
+}
+
+export function argmax(values) {
+    let best = 0;
+    for (let i = 1; i < values.length; i++) {
+        if (values[i] > values[best]) best = i;
+    }
+    return best;
+}
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveLayers, networkSize, createDenseNetwork, forward } from './network.js';
+
+// Layer specs, sizes and the forward pass, run with `node --test`
+
+const CONV_NET = [16, { type: 'conv', filters: 2, kernel: 3 }, { type: 'pool' }, 25];
+
+test('conv and pool layers take their shape from the grid before them', () => {
+    const specs = resolveLayers(CONV_NET);
+    assert.deepEqual(specs.map(spec => spec.size), [16, 8, 2, 25]);
+    assert.deepEqual([specs[1].rows, specs[1].cols, specs[1].channels], [2, 2, 2]);
+    assert.deepEqual([specs[2].rows, specs[2].cols, specs[2].channels], [1, 1, 2]);
+});
+
+test('unknown layer types and missing sizes are rejected', () => {
+    assert.throws(() => resolveLayers([16, { type: 'lstm', size: 8 }, 25]), (err) => {
+        assert.match(err.problems[0], /layers\[1\]: unknown layer type "lstm"/);
+        return true;
+    });
+    assert.throws(() => resolveLayers([16, { type: 'conv', kernel: 3 }, { type: 'dense' }, 25]), (err) => {
+        assert.equal(err.problems.length, 2);
+        assert.match(err.problems[0], /a conv layer needs "filters"/);
+        assert.match(err.problems[1], /a dense layer needs "size"/);
+        return true;
+    });
+});
+
+test('parameters and connections count shared kernels once and every dense weight', () => {
+    // conv 2 × (3·3·1 + 1), dense 2 × 25 + 25; connections 8 × 9, 2 × 4, 2 × 25
+    assert.deepEqual(networkSize(resolveLayers(CONV_NET)), { parameters: 20 + 75, connections: 72 + 8 + 50 });
+    // query and key 4 × 4 each; every neuron reads all 4 tokens
+    assert.deepEqual(networkSize(resolveLayers([16, { type: 'attention', tokens: 4 }, 25])), {
+        parameters: 32 + 16 * 25 + 25,
+        connections: 16 * 4 + 16 * 25
+    });
+    assert.deepEqual(networkSize(resolveLayers([784, 128, 10])), {
+        parameters: 784 * 128 + 128 + 128 * 10 + 10,
+        connections: 784 * 128 + 128 * 10
+    });
+});
+
+test('hidden layers use the activation, the output stays raw', () => {
+    const network = createDenseNetwork([2, 2, 1], [[[1, -1], [0.5, 0.5]], [[1, 2]]], [[0, 0], [-5]]);
+    const activations = forward(network, [1, 2]);
+    assert.deepEqual(activations.map(values => Array.from(values)), [[1, 2], [0, 1.5], [-2]]);
+});
@@ -0,0 +1,276 @@
+// Pulse bookkeeping without three.js or the DOM: spawning pulses at the input,
+// propagating them along connections and the glow (pulseIntensity) of every neuron.
+// It advances in fixed ticks, so the same seed replays the same animation at any
+// frame rate, and it can be driven from Node.
+
+export const TICK = 1 / 60; // Seconds per simulation step; the per-step constants below assume 60 steps/s
+
+const MAX_CATCH_UP = 0.25; // Seconds simulated at most per advance() call (e.g. after a hidden tab)
+
+// Small, fast seeded generator (mulberry32) returning numbers in [0, 1).
+// `random.state` is where it stands; createRandom(random.state) goes on from there.
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    const random = () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    Object.defineProperty(random, 'state', { get: () => state });
+    return random;
+}
+
+export function randomSeed() {
+    return Math.floor(Math.random() * 4294967296);
+}
+
+// options:
+//   seed           seed for spawning/propagation choices and pulse speeds
+//   spawnInterval  seconds between new pulses at the input layer
+//   maxPulses      pulses on their way at most; further ones are not created
+//   onArrive       called as onArrive(layerIndex, index) when a pulse reaches a neuron
+export function createPulseSimulation({ seed = randomSeed(), spawnInterval = 0.2, maxPulses = Infinity, onArrive = null } = {}) {
+    let random = createRandom(seed);
+    let layers = []; // { count, decay, activation, pulseIntensity, outStart, outList }
+    let connections = null;
+    let pulses = [];
+    let time = 0;
+    let lastSpawnTime = 0;
+    let pending = 0; // Elapsed time not yet simulated
+
+    // layerActivations: normalised activation per layer (read on every propagation, so
+    // later forward passes are picked up without calling this again)
+    // connections: { count, fromLayer, fromIndex, toIndex, layerStart, signal }, stored layer by layer
+    function setNetwork(layerActivations, newConnections) {
+        connections = newConnections;
+        pulses = [];
+
+        layers = layerActivations.map((activation, l) => {
+            const count = activation.length;
+            const isEdge = l === 0 || l === layerActivations.length - 1;
+            const layer = {
+                count,
+                decay: isEdge ? 0.85 : 0.88, // Glow per step fades a bit slower in hidden layers
+                activation,
+                pulseIntensity: new Float32Array(count),
+                outStart: null,
+                outList: null
+            };
+
+            // Outgoing connections per neuron, grouped by source neuron (counting sort)
+            if (l < layerActivations.length - 1) {
+                const start = connections.layerStart[l];
+                const end = connections.layerStart[l + 1];
+                const outStart = new Int32Array(count + 1);
+                for (let c = start; c < end; c++) outStart[connections.fromIndex[c] + 1]++;
+                for (let i = 0; i < count; i++) outStart[i + 1] += outStart[i];
+
+                const fill = outStart.slice(0, count);
+                const outList = new Int32Array(end - start);
+                for (let c = start; c < end; c++) outList[fill[connections.fromIndex[c]]++] = c;
+
+                layer.outStart = outStart;
+                layer.outList = outList;
+            }
+            return layer;
+        });
+    }
+
+    // Outgoing connections of a neuron that carry signal
+    function outgoing(layerIndex, index) {
+        const layer = layers[layerIndex];
+        const result = [];
+        if (!layer.outList) return result;
+
+        for (let k = layer.outStart[index]; k < layer.outStart[index + 1]; k++) {
+            const c = layer.outList[k];
+            if (connections.signal[c] > 0) result.push(c);
+        }
+        return result;
+    }
+
+    // Connections that carry signal from an active input bit
+    function inputConnections() {
+        const result = [];
+        for (let c = connections.layerStart[0]; c < connections.layerStart[1]; c++) {
+            if (connections.signal[c] > 0) result.push(c);
+        }
+        return result;
+    }
+
+    // Pick one of the candidates with probability proportional to its signal
+    function pickBySignal(candidates) {
+        let total = 0;
+        for (let i = 0; i < candidates.length; i++) total += connections.signal[candidates[i]];
+
+        let r = random() * total;
+        for (let i = 0; i < candidates.length; i++) {
+            r -= connections.signal[candidates[i]];
+            if (r <= 0) return candidates[i];
+        }
+        return candidates[candidates.length - 1];
+    }
+
+    function createPulse(connection) {
+        if (pulses.length >= maxPulses) return;
+        pulses.push({
+            connection,
+            strength: 0.3 + connections.signal[connection] * 0.7,
+            progress: 0,
+            speed: 0.03 + random() * 0.02 // Progress per step
+        });
+    }
+
+    function spawn(count) {
+        const candidates = inputConnections();
+        if (candidates.length === 0) return;
+        for (let i = 0; i < count; i++) createPulse(pickBySignal(candidates));
+    }
+
+    // Drop all pulses and send a burst from the input (after the input changed)
+    function burst(count = 8) {
+        pulses = [];
+        if (connections) spawn(Math.min(count, inputConnections().length));
+    }
+
+    function tick() {
+        time += TICK;
+
+        // Create new pulses periodically - starting from input layer
+        if (time - lastSpawnTime > spawnInterval) {
+            lastSpawnTime = time;
+            spawn(Math.min(3, Math.floor(connections.count / 100)));
+        }
+
+        for (let i = pulses.length - 1; i >= 0; i--) {
+            const pulse = pulses[i];
+            pulse.progress += pulse.speed;
+
+            const c = pulse.connection;
+            const fromLayer = layers[connections.fromLayer[c]];
+            const toLayerIndex = connections.fromLayer[c] + 1;
+            const toLayer = layers[toLayerIndex];
+            const toIndex = connections.toIndex[c];
+
+            if (pulse.progress >= 1) {
+                // Pulse completed - light up target neuron by its activation and propagate
+                toLayer.pulseIntensity[toIndex] = Math.max(
+                    toLayer.pulseIntensity[toIndex],
+                    0.5 + toLayer.activation[toIndex] * 1.5
+                );
+                pulses.splice(i, 1);
+                if (onArrive) onArrive(toLayerIndex, toIndex);
+
+                const next = outgoing(toLayerIndex, toIndex);
+                if (next.length > 0 && toLayer.activation[toIndex] > 0.05) {
+                    // Strongly activated neurons fire into up to 2 connections
+                    const numPropagate = toLayer.activation[toIndex] > 0.5 ? 2 : 1;
+                    for (let j = 0; j < Math.min(numPropagate, next.length); j++) {
+                        createPulse(pickBySignal(next));
+                    }
+                }
+            } else {
+                // Light up the source neuron at the start of the pulse
+                if (pulse.progress < 0.15) {
+                    fromLayer.pulseIntensity[connections.fromIndex[c]] = 2.5;
+                }
+
+                // Light up target neuron as pulse approaches
+                if (pulse.progress > 0.85) {
+                    const approachIntensity = (pulse.progress - 0.85) / 0.15;
+                    toLayer.pulseIntensity[toIndex] = Math.max(toLayer.pulseIntensity[toIndex], approachIntensity * 1.5);
+                }
+            }
+        }
+
+        // Decay pulse intensity
+        layers.forEach(layer => {
+            for (let i = 0; i < layer.count; i++) layer.pulseIntensity[i] *= layer.decay;
+        });
+    }
+
+    // Simulate the given real elapsed time in whole ticks; the remainder carries over
+    function advance(seconds) {
+        if (!connections) return 0;
+        pending += Math.min(seconds, MAX_CATCH_UP);
+
+        let ticks = 0;
+        while (pending >= TICK) {
+            tick();
+            pending -= TICK;
+            ticks++;
+        }
+        return ticks;
+    }
+
+    // Start over with a new seed (same network)
+    function reset(newSeed = seed) {
+        seed = newSeed;
+        random = createRandom(seed);
+        pulses = [];
+        time = 0;
+        lastSpawnTime = 0;
+        pending = 0;
+        layers.forEach(layer => layer.pulseIntensity.fill(0));
+    }
+
+    // Everything the next ticks depend on, as plain JSON (e.g. for another window, sync.js)
+    function save() {
+        return {
+            seed,
+            random: random.state,
+            time,
+            lastSpawnTime,
+            pending,
+            pulses: pulses.map(pulse => ({ ...pulse })),
+            pulseIntensity: layers.map(layer => Array.from(layer.pulseIntensity))
+        };
+    }
+
+    // Go on from save() of a simulation with the same network
+    function restore(state) {
+        seed = state.seed;
+        random = createRandom(state.random);
+        ({ time, lastSpawnTime, pending } = state);
+        pulses = state.pulses.map(pulse => ({ ...pulse }));
+        layers.forEach((layer, l) => layer.pulseIntensity.set(state.pulseIntensity[l]));
+    }
+
+    return {
+        setNetwork,
+        advance,
+        tick,
+        burst,
+        reset,
+        save,
+        restore,
+        outgoing,
+        get seed() {
+            return seed;
+        },
+        get spawnInterval() {
+            return spawnInterval;
+        },
+        set spawnInterval(value) {
+            spawnInterval = value;
+        },
+        get maxPulses() {
+            return maxPulses;
+        },
+        set maxPulses(value) {
+            maxPulses = value;
+        },
+        get time() {
+            return time;
+        },
+        get pulses() {
+            return pulses;
+        },
+        // One Float32Array per layer
+        get pulseIntensity() {
+            return layers.map(layer => layer.pulseIntensity);
+        }
+    };
+}
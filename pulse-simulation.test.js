@@ -0,0 +1,146 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPulseSimulation, TICK } from './pulse-simulation.js';
+
+// Propagation of the pulse simulation, run with `node --test`
+
+// Three layers of ten neurons, fully connected (200 connections, so two pulses per spawn);
+// connections from odd neurons and to the last two neurons of a layer carry no signal
+function createNetwork() {
+    const sizes = [10, 10, 10];
+    const fromLayer = [];
+    const fromIndex = [];
+    const toIndex = [];
+    const signal = [];
+    const layerStart = [0];
+    for (let l = 0; l < sizes.length - 1; l++) {
+        for (let i = 0; i < sizes[l]; i++) {
+            for (let j = 0; j < sizes[l + 1]; j++) {
+                fromLayer.push(l);
+                fromIndex.push(i);
+                toIndex.push(j);
+                signal.push(i % 2 === 0 && j < 8 ? 0.1 + j * 0.1 : 0);
+            }
+        }
+        layerStart.push(fromLayer.length);
+    }
+    const connections = {
+        count: fromLayer.length,
+        fromLayer: Int32Array.from(fromLayer),
+        fromIndex: Int32Array.from(fromIndex),
+        toIndex: Int32Array.from(toIndex),
+        layerStart,
+        signal: Float32Array.from(signal)
+    };
+    const activations = sizes.map(size => new Float32Array(size).fill(1));
+    return { activations, connections };
+}
+
+// New pulses every 0.05 s instead of every 0.2 s
+function createSimulation(options = {}) {
+    const { activations, connections } = createNetwork();
+    const arrivals = [];
+    const simulation = createPulseSimulation({
+        spawnInterval: 0.05,
+        onArrive: (layerIndex, index) => arrivals.push([layerIndex, index]),
+        ...options
+    });
+    simulation.setNetwork(activations, connections);
+    return { simulation, connections, arrivals };
+}
+
+function snapshot(simulation) {
+    return {
+        time: simulation.time,
+        pulses: simulation.pulses.map(pulse => ({ ...pulse })),
+        intensity: simulation.pulseIntensity.map(values => Array.from(values))
+    };
+}
+
+test('the same seed replays the same pulses', () => {
+    const first = createSimulation({ seed: 42 });
+    const second = createSimulation({ seed: 42 });
+    first.simulation.burst(4);
+    second.simulation.burst(4);
+    for (let frame = 0; frame < 120; frame++) {
+        first.simulation.advance(1 / 30);
+        second.simulation.advance(1 / 30);
+    }
+    assert.ok(first.arrivals.length > 0);
+    assert.deepEqual(snapshot(first.simulation), snapshot(second.simulation));
+    assert.deepEqual(first.arrivals, second.arrivals);
+
+    // And after a reset to the seed, from the start again
+    first.simulation.reset(42);
+    const replayed = createSimulation({ seed: 42 });
+    first.simulation.burst(4);
+    replayed.simulation.burst(4);
+    first.simulation.advance(0.2);
+    replayed.simulation.advance(0.2);
+    assert.deepEqual(snapshot(first.simulation), snapshot(replayed.simulation));
+});
+
+test('one step of 0.1 s matches six steps of 1/60 s', () => {
+    const once = createSimulation({ seed: 7 });
+    const often = createSimulation({ seed: 7 });
+    once.simulation.burst(4);
+    often.simulation.burst(4);
+
+    assert.equal(once.simulation.advance(0.1), 6);
+    let ticks = 0;
+    for (let i = 0; i < 6; i++) ticks += often.simulation.advance(1 / 60);
+    assert.equal(ticks, 6);
+    assert.deepEqual(snapshot(once.simulation), snapshot(often.simulation));
+    assert.ok(Math.abs(once.simulation.time - 6 * TICK) < 1e-9);
+});
+
+test('the remainder of a step carries over to the next one', () => {
+    const { simulation } = createSimulation({ seed: 7 });
+    assert.equal(simulation.advance(TICK / 2), 0);
+    assert.equal(simulation.advance(TICK / 2), 1);
+});
+
+test('pulses only travel along connections with signal', () => {
+    const { simulation, connections, arrivals } = createSimulation({ seed: 3 });
+    for (let frame = 0; frame < 300; frame++) {
+        simulation.advance(1 / 60);
+        simulation.pulses.forEach(pulse => {
+            assert.ok(pulse.connection >= 0 && pulse.connection < connections.count);
+            assert.ok(connections.signal[pulse.connection] > 0);
+        });
+    }
+
+    // Every neuron that was reached is the target of a connection with signal from the layer before
+    assert.ok(arrivals.some(([layerIndex]) => layerIndex === 2), 'pulses go on through the hidden layer');
+    arrivals.forEach(([layerIndex, index]) => {
+        let reachable = false;
+        for (let c = connections.layerStart[layerIndex - 1]; c < connections.layerStart[layerIndex]; c++) {
+            if (connections.toIndex[c] === index && connections.signal[c] > 0) reachable = true;
+        }
+        assert.ok(reachable, `neuron ${index} of layer ${layerIndex}`);
+    });
+
+    // Neurons without signal on their outgoing connections never send a pulse on
+    assert.deepEqual(simulation.outgoing(1, 1), []);
+});
+
+test('a saved state goes on like the simulation it came from', () => {
+    const original = createSimulation({ seed: 11 });
+    original.simulation.burst(4);
+    for (let frame = 0; frame < 40; frame++) original.simulation.advance(1 / 45);
+
+    // Through JSON, as another window gets it
+    const copy = createSimulation({ seed: 99 });
+    copy.simulation.restore(JSON.parse(JSON.stringify(original.simulation.save())));
+    assert.deepEqual(snapshot(copy.simulation), snapshot(original.simulation));
+
+    const arrivalsBefore = original.arrivals.length;
+    for (let frame = 0; frame < 120; frame++) {
+        original.simulation.advance(1 / 45);
+        copy.simulation.advance(1 / 45);
+    }
+    assert.deepEqual(snapshot(copy.simulation), snapshot(original.simulation));
+    assert.ok(copy.arrivals.length > 0);
+    assert.deepEqual(copy.arrivals, original.arrivals.slice(arrivalsBefore));
+    assert.equal(copy.simulation.seed, 11);
+});
@@ -0,0 +1,95 @@
+// Quality tiers and the governor that picks one from the measured frame rate, so the same
+// configuration runs on an old laptop and on a workstation. Like pulse-simulation.js it
+// knows nothing about three.js or the DOM; the visualizer applies the tier.
+//
+// Per tier, applied on top of the configuration:
+//   neurons       share of each hidden layer's neurons drawn
+//   connections   share of the dense connections drawn (of connectionSampleRate, at most maxConnectionsPerLayer)
+//   pulses        pulses on their way at most
+//   pixelRatio    cap of the device pixel ratio
+//   antialias     WebGL antialiasing (switching it creates a new renderer)
+
+export const QUALITY_TIERS = [
+    { name: 'low', neurons: 0.25, connections: 0.25, pulses: 40, pixelRatio: 0.75, antialias: false },
+    { name: 'medium', neurons: 0.5, connections: 0.5, pulses: 100, pixelRatio: 1, antialias: false },
+    { name: 'high', neurons: 1, connections: 1, pulses: Infinity, pixelRatio: 2, antialias: false },
+    { name: 'ultra', neurons: 1, connections: 1, pulses: Infinity, pixelRatio: 2, antialias: true }
+];
+
+export const QUALITY_NAMES = QUALITY_TIERS.map(tier => tier.name);
+
+const WINDOW = 1; // Seconds per frame rate measurement
+const SLOW_WINDOWS = 2; // Measurements below the target before stepping down
+const FAST_WINDOWS = 5; // Measurements at the target before trying the next tier up
+const RETRY_DELAY = 30; // Seconds before retrying a tier that was too slow; doubles each time it fails
+const MAX_FRAME = 0.25; // Longer frames (hidden tab, rebuild) say nothing about the tier
+
+// options:
+//   targetFps        frame rate to hold; should be below the display's refresh rate
+//   minTier/maxTier  bounds as indices into QUALITY_TIERS
+//   tier             starting tier
+//   onChange         called as onChange(tier) when the governor moves to another tier
+export function createQualityGovernor({ targetFps = 50, minTier = 0, maxTier = QUALITY_TIERS.length - 1, tier = maxTier, onChange = () => {} } = {}) {
+    tier = Math.min(maxTier, Math.max(minTier, tier));
+    let time = 0; // Seconds of measured frames
+    let frames = 0;
+    let elapsed = 0;
+    let fps = null; // Last measurement
+    let slow = 0;
+    let fast = 0;
+    let skip = 1; // Measurements to ignore, e.g. the first one after a change
+    const retryAt = QUALITY_TIERS.map(() => 0);
+    const retryDelay = QUALITY_TIERS.map(() => RETRY_DELAY);
+
+    function change(newTier) {
+        tier = newTier;
+        slow = fast = 0;
+        skip = 1;
+        onChange(tier);
+    }
+
+    // Real duration of one rendered frame in seconds
+    function sample(seconds) {
+        if (seconds > MAX_FRAME) return;
+        time += seconds;
+        frames++;
+        elapsed += seconds;
+        if (elapsed < WINDOW) return;
+
+        fps = frames / elapsed;
+        frames = 0;
+        elapsed = 0;
+        if (skip > 0) {
+            skip--;
+            return;
+        }
+
+        // Slightly below the target still counts as holding it, so vsync jitter doesn't step down
+        if (fps < targetFps * 0.9) {
+            slow++;
+            fast = 0;
+        } else {
+            fast++;
+            slow = 0;
+        }
+
+        if (slow >= SLOW_WINDOWS && tier > minTier) {
+            retryAt[tier] = time + retryDelay[tier];
+            retryDelay[tier] *= 2;
+            change(tier - 1);
+        } else if (fast >= FAST_WINDOWS && tier < maxTier && time >= retryAt[tier + 1]) {
+            change(tier + 1);
+        }
+    }
+
+    return {
+        sample,
+        get tier() {
+            return tier;
+        },
+        // Frames per second of the last measurement, null before the first one
+        get fps() {
+            return fps;
+        }
+    };
+}
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createQualityGovernor } from './quality.js';
+
+// The quality governor, run with `node --test`
+
+// One second of frames at the given rate
+function run(governor, fps, seconds = 1) {
+    for (let i = 0; i < Math.round(fps * seconds); i++) governor.sample(1 / fps);
+}
+
+test('a slow tier is left after two measurements, not below minTier', () => {
+    const changes = [];
+    const governor = createQualityGovernor({ targetFps: 50, minTier: 1, maxTier: 3, tier: 3, onChange: tier => changes.push(tier) });
+    run(governor, 20); // Ignored, the first measurement after the start
+    run(governor, 20);
+    assert.equal(governor.tier, 3);
+    run(governor, 20);
+    assert.equal(governor.tier, 2);
+    assert.equal(Math.round(governor.fps), 20);
+
+    run(governor, 20, 10);
+    assert.deepEqual(changes, [2, 1]);
+    assert.equal(governor.tier, 1);
+});
+
+test('a fast tier tries the next one up, a tier that was too slow only after a while', () => {
+    const governor = createQualityGovernor({ targetFps: 50, tier: 2 });
+    run(governor, 20, 3);
+    assert.equal(governor.tier, 1);
+
+    // Holding the target (46 fps is within 90 %) for five measurements, but tier 2 waits 30 s
+    run(governor, 46, 10);
+    assert.equal(governor.tier, 1);
+    run(governor, 46, 25); // 30 s after the step down
+    assert.equal(governor.tier, 2);
+});
+
+test('the starting tier is clamped, long frames are ignored', () => {
+    assert.equal(createQualityGovernor({ minTier: 1, maxTier: 2, tier: 0 }).tier, 1);
+    assert.equal(createQualityGovernor({ minTier: 1, maxTier: 2 }).tier, 2);
+
+    const governor = createQualityGovernor({ targetFps: 50, tier: 3 });
+    for (let i = 0; i < 100; i++) governor.sample(0.5); // A hidden tab
+    assert.equal(governor.fps, null);
+    assert.equal(governor.tier, 3);
+});
@@ -0,0 +1,197 @@
+import { createZip } from './zip.js';
+
+// Export of the animation at a fixed resolution: live as WebM (MediaRecorder) or
+// offline as a ZIP of PNG frames, stepped with a fixed frame time so no frame is
+// dropped however long a frame takes. Each frame is copied into a 2D canvas, which
+// can also carry an overlay element (the page's info panel) on top of the scene.
+
+const VIDEO_TYPES = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm'];
+
+// Starts recording and returns { stop() } whose promise resolves to the WebM Blob.
+// options: width, height, fps, overlay (element drawn on top), audio (media element or MediaStream to record)
+export function startVideoRecording(visualizer, { width = 1920, height = 1080, fps = 30, overlay = null, audio = null } = {}) {
+    if (typeof MediaRecorder === 'undefined' || !HTMLCanvasElement.prototype.captureStream) {
+        throw exportError(['This browser cannot record video (MediaRecorder is missing).']);
+    }
+    const mimeType = VIDEO_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+    if (!mimeType) throw exportError(['This browser cannot record WebM video.']);
+
+    const problems = [];
+    const frame = createFrameCanvas(visualizer, width, height, overlay);
+    const stream = frame.canvas.captureStream(fps);
+
+    if (audio) {
+        const audioStream = audio instanceof MediaStream ? audio
+            : audio.captureStream ? audio.captureStream() : audio.mozCaptureStream?.();
+        if (audioStream) {
+            audioStream.getAudioTracks().forEach(track => stream.addTrack(track));
+        } else {
+            problems.push('This browser cannot record the music, the video has no sound.');
+        }
+    }
+
+    // Copy every rendered frame while the scene is still in the drawing buffer
+    const onFrame = () => frame.draw();
+    const release = () => {
+        visualizer.removeEventListener('frame', onFrame);
+        visualizer.setRenderSize();
+        stream.getTracks().forEach(track => track.stop());
+    };
+
+    const chunks = [];
+    let recorder;
+    try {
+        recorder = new MediaRecorder(stream, { mimeType });
+        recorder.addEventListener('dataavailable', (e) => {
+            if (e.data.size > 0) chunks.push(e.data);
+        });
+        visualizer.setRenderSize(width, height);
+        visualizer.addEventListener('frame', onFrame);
+        recorder.start(1000); // Hand out data every second instead of one huge chunk at the end
+    } catch (err) {
+        // The page goes on at its own size
+        release();
+        throw exportError([`The recording could not start: ${err.message}`]);
+    }
+
+    return {
+        problems, // Things left out of the recording
+        stop() {
+            return new Promise(resolve => {
+                recorder.addEventListener('stop', () => {
+                    release();
+                    resolve(new Blob(chunks, { type: 'video/webm' }));
+                }, { once: true });
+                recorder.stop();
+            });
+        }
+    };
+}
+
+// Steps the paused animation frame by frame and resolves to a ZIP Blob with
+// frames/frame-00001.png ... and, if `music` (URL) is given, the music file.
+// options: width, height, fps, duration (seconds), overlay, music, onProgress(done, total)
+export async function exportFrames(visualizer, {
+    width = 1920, height = 1080, fps = 30, duration = 5, overlay = null, music = null, onProgress = null
+} = {}) {
+    const wasRunning = visualizer.isRunning;
+    const total = Math.max(1, Math.round(duration * fps));
+    const files = [];
+
+    visualizer.pause();
+    visualizer.setRenderSize(width, height);
+    const frame = createFrameCanvas(visualizer, width, height, overlay);
+
+    try {
+        for (let i = 0; i < total; i++) {
+            visualizer.step(1 / fps);
+            frame.draw();
+
+            const blob = await new Promise(resolve => frame.canvas.toBlob(resolve, 'image/png'));
+            if (!blob) {
+                throw exportError([`Frame ${i + 1} could not be saved as PNG (the image is too large for this browser or the graphics context was lost).`]);
+            }
+            files.push({
+                name: `frames/frame-${String(i + 1).padStart(5, '0')}.png`,
+                data: new Uint8Array(await blob.arrayBuffer())
+            });
+            if (onProgress) onProgress(i + 1, total);
+        }
+
+        if (music) files.push(await fetchMusic(music));
+    } finally {
+        visualizer.setRenderSize();
+        if (wasRunning) visualizer.start();
+    }
+
+    return createZip(files);
+}
+
+async function fetchMusic(url) {
+    let response;
+    try {
+        response = await fetch(url);
+    } catch (err) {
+        throw exportError([`Could not load the music "${url}": ${err.message}`]);
+    }
+    if (!response.ok) throw exportError([`Could not load the music "${url}" (HTTP ${response.status}).`]);
+
+    const name = decodeURIComponent(new URL(url, window.location.href).pathname.split('/').pop()) || 'music';
+    return { name, data: new Uint8Array(await response.arrayBuffer()) };
+}
+
+// 2D canvas of the export size that receives the renderer's image (and the overlay)
+function createFrameCanvas(visualizer, width, height, overlay) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+
+    return {
+        canvas,
+        draw() {
+            context.drawImage(visualizer.renderer.domElement, 0, 0, width, height);
+            // Same proportions as on the page
+            if (overlay && !overlay.hidden) drawPanel(context, overlay, width / visualizer.container.clientWidth);
+        }
+    };
+}
+
+// Draws a text panel like its CSS does: translucent box, one line per child element,
+// each text run in its own color (e.g. highlighted values)
+function drawPanel(context, panel, scale) {
+    const panelStyle = getComputedStyle(panel);
+    const padding = (parseFloat(panelStyle.paddingTop) || 20) * scale;
+
+    const lines = Array.from(panel.children).filter(child => !child.hidden).map(child => {
+        const style = getComputedStyle(child);
+        const size = parseFloat(style.fontSize) || 14;
+        return {
+            font: `${style.fontWeight || 'normal'} ${size * scale}px ${style.fontFamily || 'monospace'}`,
+            height: lineHeight(style, size) * scale,
+            runs: Array.from(child.childNodes).map(node => ({
+                text: node.textContent,
+                color: node.nodeType === Node.ELEMENT_NODE ? getComputedStyle(node).color : style.color
+            }))
+        };
+    });
+
+    let width = 0;
+    lines.forEach(line => {
+        context.font = line.font;
+        const lineWidth = line.runs.reduce((sum, run) => sum + context.measureText(run.text).width, 0);
+        width = Math.max(width, lineWidth);
+    });
+    const height = lines.reduce((sum, line) => sum + line.height, 0);
+
+    const x = panel.offsetLeft * scale;
+    let y = panel.offsetTop * scale;
+    context.fillStyle = panelStyle.backgroundColor || 'rgba(0, 0, 0, 0.7)';
+    context.fillRect(x, y, width + padding * 2, height + padding * 2);
+
+    y += padding;
+    context.textBaseline = 'middle';
+    lines.forEach(line => {
+        let runX = x + padding;
+        context.font = line.font;
+        line.runs.forEach(run => {
+            context.fillStyle = run.color || '#fff';
+            context.fillText(run.text, runX, y + line.height / 2);
+            runX += context.measureText(run.text).width;
+        });
+        y += line.height;
+    });
+}
+
+// Computed line-height in pixels; "normal" and unitless factors depend on the font size
+function lineHeight(style, fontSize) {
+    const value = style.lineHeight;
+    if (value && value.endsWith('px')) return parseFloat(value);
+    return fontSize * (parseFloat(value) || 1.8);
+}
+
+function exportError(problems) {
+    const error = new Error(problems.join('\n'));
+    error.problems = problems;
+    return error;
+}
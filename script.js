@@ -1,590 +1,689 @@
-import * as THREE from 'three';
-
-// Neural Network Configuration
-const CONFIG = {
-    layers: [16, 10000, 10000, 10000, 25], // Input (4x4), 3 hidden layers, output (A-Z minus J = 25)
-    layerSpacing: 2, // Reduced from 3 to bring layers closer together
-    neuronSize: 0.05,
-    hiddenNeuronSize: 0.02, // Even smaller for performance
-    connectionOpacity: 0.08, // Darkened from 0.15 for subtler effect
-    connectionSampleRate: 0.015, // Reduced to 1.5% for better performance
-    // Performance settings
-    neuronSegments: 3, // Further reduced for smoother rotation
-    hiddenNeuronSegments: 3,
-    colors: {
-        inputNeuronOn: 0x333333, // Swapped: "1" = dark/black
-        inputNeuronOff: 0xffffff, // Swapped: "0" = white
-        hiddenNeurons: 0x666666, // Darker grey for base color
-        outputNeurons: 0xffffff, // Changed from cyan to white
-        connections: 0x333333, // Darker gray for connections
-        pulseColor: 0xffffff // White pulse color (was cyan)
-    }
+import { NeuralNetVisualizer } from './visualizer.js';
+import { loadModelFromFile } from './model-loader.js';
+import { loadPageConfig, loadTourFromUrl } from './config-loader.js';
+import { startVideoRecording, exportFrames } from './recorder.js';
+import { LETTER_GLYPHS, glyphToInput } from './glyphs.js';
+import { translate, localize, preferredLanguage } from './i18n.js';
+import { createSound } from './audio.js';
+import { createTourPlayer } from './tour.js';
+import { createSync, createBroadcastTransport, createWebSocketTransport } from './sync.js';
+import { createDashboard } from './dashboard.js';
+import { panelProperty } from './themes.js';
+
+// Page setup for index.html: one full-screen visualizer plus the page's panels and music
+
+// Info panel content unless the configuration brings its own ("info" section)
+const DEFAULT_INFO = {
+    title: null, // "Neural network" in the page language
+    model: null,
+    fields: [{ label: { en: 'Modification', de: 'Anpassung' }, value: 'LMG school adaption' }]
 };
 
-// Scene setup
-let scene, camera, renderer;
-let neuronMeshes = [];
-let connectionLines = [];
-let pulses = []; // Active pulses traveling through connections
-let isRotating = true;
-let showConnections = true;
-let rotationSpeed = 0.003; // Smooth rotation speed
-
-// Shared geometries and materials for performance
-let sharedGeometries = {};
-let sharedMaterials = {};
-
-// Animation time
-let animationTime = 0;
-let lastPulseTime = 0;
-
-// Camera control state - start closer to the model
-let targetCameraDistance = 10; // Zoomed out to see complete model
-let currentCameraDistance = targetCameraDistance;
-
-function init() {
-    // Scene
-    scene = new THREE.Scene();
-    scene.background = new THREE.Color(0x000000);
-    scene.fog = new THREE.Fog(0x000000, 10, 50);
-
-    // Camera
-    const container = document.getElementById('canvas-container');
-    camera = new THREE.PerspectiveCamera(
-        75,
-        container.clientWidth / container.clientHeight,
-        0.1,
-        1000
-    );
-    // Start closer to the model
-    const initialAngle = Math.PI / 4;
-    camera.position.set(
-        targetCameraDistance * Math.cos(initialAngle),
-        3,
-        targetCameraDistance * Math.sin(initialAngle)
-    );
-    camera.lookAt(0, 0, 0);
-
-    // Renderer
-    renderer = new THREE.WebGLRenderer({
-        antialias: false, // Disable for better performance
-        powerPreference: "high-performance"
-    });
-    renderer.setSize(container.clientWidth, container.clientHeight);
-    renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2)); // Cap at 2x for performance
-    container.appendChild(renderer.domElement);
+// Sound settings unless the configuration has a "music" section
+const DEFAULT_MUSIC = {
+    tracks: ['Neural Network 3D Simulation cut.mp3'],
+    volume: 0.5,
+    reactive: false, // Pulses and glow follow the beat
+    tones: false // A tone per output label when a pulse reaches it
+};
 
-    // Lights - using white lights to avoid color tinting
-    const ambientLight = new THREE.AmbientLight(0x404040, 1);
-    scene.add(ambientLight);
+// Presenter/follower windows unless the configuration has a "sync" section
+const DEFAULT_SYNC = {
+    role: 'off',
+    channel: 'neural-network-3d', // BroadcastChannel name, windows with the same name sync
+    relay: null, // WebSocket relay (ws://...) to sync across devices instead
+    name: '' // Shown to the presenter when handing over control
+};
 
-    const pointLight1 = new THREE.PointLight(0xffffff, 1, 100);
-    pointLight1.position.set(10, 10, 10);
-    scene.add(pointLight1);
+// Charts beside the canvas unless the configuration has a "dashboard" section
+const DEFAULT_DASHBOARD = {
+    open: false,
+    bars: 10, // Output labels shown at most
+    values: 'activation', // Or 'pulses' for the histograms of the hidden layers
+    history: 30 // Seconds of recent predictions
+};
 
-    const pointLight2 = new THREE.PointLight(0xffffff, 0.5, 100);
-    pointLight2.position.set(-10, -10, -10);
-    scene.add(pointLight2);
+// Page language; the listeners redraw texts that are built in code
+let language = 'en';
+const languageListeners = [];
+const t = (key, values) => translate(language, key, values);
+
+// Keyboard shortcuts by key (lowercase), see setupControlPanel()
+const shortcuts = {};
+
+async function init() {
+    // Settings from ?config=file.json and single parameters (?layers=16,64,25, ?model=... etc.);
+    // with invalid settings the page starts with the defaults and lists the problems
+    let config = {};
+    let configProblems = null;
+    try {
+        config = await loadPageConfig(window.location.search);
+    } catch (err) {
+        configProblems = err.problems || [err.message];
+    }
 
-    // Create shared geometries and materials
-    createSharedResources();
+    // The info, music, tour, sync and dashboard settings are for the page; the visualizer gets the language for its tooltip
+    const { info = {}, music = {}, tour: tourUrl, sync = {}, dashboard = {}, ...settings } = config;
+    language = settings.language || preferredLanguage();
+    const visualizer = new NeuralNetVisualizer(document.getElementById('canvas-container'), { ...settings, language });
 
-    // Build neural network
-    buildNeuralNetwork();
+    visualizer.addEventListener('modelerror', (e) => {
+        showError(t('error.model'), e.detail.problems);
+    });
+    // Only a model that loaded clears the list; other rebuilds (sliders, sync, quality) leave it
+    visualizer.addEventListener('modelload', hideError);
+    if (configProblems) showError(t('error.config'), configProblems);
+
+    setupInfoPanel(visualizer, { ...DEFAULT_INFO, ...info });
+    const sound = setupSound(visualizer, { ...DEFAULT_MUSIC, ...music });
+    setupModelDrop(visualizer);
+    setupTrainingControls(visualizer);
+    setupControlPanel(visualizer);
+    setupExport(visualizer, sound);
+    setupLanguage(visualizer);
+    setupSync(visualizer, { ...DEFAULT_SYNC, ...sync });
+    setupDashboard(visualizer, { ...DEFAULT_DASHBOARD, ...dashboard });
+
+    if (tourUrl) {
+        loadTourFromUrl(tourUrl)
+            .then(tour => setupTour(visualizer, tour))
+            .catch(err => showError(t('error.tour'), err.problems || [err.message]));
+    }
 
-    // Event listeners
-    window.addEventListener('resize', onWindowResize);
-    setupControls();
+    visualizer.start();
+}
 
-    // Start animation
-    animate();
+function setupLanguage(visualizer) {
+    const select = document.getElementById('control-language');
+    select.value = language;
+    select.addEventListener('change', () => setLanguage(visualizer, select.value));
+    setLanguage(visualizer, language);
 }
 
-function createSharedResources() {
-    // Shared geometries (reused across all neurons of same type)
-    sharedGeometries.input = new THREE.SphereGeometry(CONFIG.neuronSize, CONFIG.neuronSegments, CONFIG.neuronSegments);
-    sharedGeometries.hidden = new THREE.SphereGeometry(CONFIG.hiddenNeuronSize, CONFIG.hiddenNeuronSegments, CONFIG.hiddenNeuronSegments);
-    sharedGeometries.output = new THREE.SphereGeometry(CONFIG.neuronSize, CONFIG.neuronSegments, CONFIG.neuronSegments);
-
-    // Shared materials
-    sharedMaterials.inputOn = new THREE.MeshPhongMaterial({
-        color: CONFIG.colors.inputNeuronOn,
-        emissive: CONFIG.colors.inputNeuronOn,
-        emissiveIntensity: 0.2, // 1s are darker
-        shininess: 30
+// Static texts carry their key in data-i18n (data-i18n-label for aria-label)
+function setLanguage(visualizer, newLanguage) {
+    language = newLanguage;
+    document.documentElement.lang = language;
+    document.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
     });
-
-    sharedMaterials.inputOff = new THREE.MeshPhongMaterial({
-        color: CONFIG.colors.inputNeuronOff,
-        emissive: CONFIG.colors.inputNeuronOff,
-        emissiveIntensity: 0.5, // 0s are brighter (white)
-        shininess: 30
+    document.querySelectorAll('[data-i18n-label]').forEach(element => {
+        element.setAttribute('aria-label', t(element.dataset.i18nLabel));
     });
+    visualizer.setConfig({ language });
+    languageListeners.forEach(listener => listener());
+}
 
-    sharedMaterials.hidden = new THREE.MeshPhongMaterial({
-        color: CONFIG.colors.hiddenNeurons,
-        emissive: CONFIG.colors.hiddenNeurons,
-        emissiveIntensity: 0.1, // Dimmer base intensity
-        shininess: 30
-    });
+// Title, model and fields from the configuration, then facts about the network shown
+function setupInfoPanel(visualizer, info) {
+    const panel = document.getElementById('info-panel');
+    let predictionValue = null;
+
+    const row = (label, value) => {
+        const line = document.createElement('div');
+        const highlight = document.createElement('span');
+        highlight.className = 'highlight';
+        highlight.textContent = value;
+        line.append(`${label}: `, highlight);
+        return line;
+    };
+    const number = value => value.toLocaleString(language);
+    const shownOf = ({ shown, total }) => (shown === total
+        ? number(total)
+        : t('info.shown', { shown: number(shown), total: number(total) }));
+
+    // The probability changes with every input, so this runs on each frame
+    const updatePrediction = () => {
+        const { label, probability } = visualizer.prediction;
+        const text = `${label} (${(probability * 100).toFixed(1)}%)`;
+        if (predictionValue.textContent !== text) predictionValue.textContent = text;
+    };
+
+    const render = () => {
+        const statistics = visualizer.statistics;
+        const { connections } = statistics;
+        const title = document.createElement('h1');
+        title.textContent = localize(info.title, language) || t('info.title');
+
+        const prediction = row(t('info.prediction'), '');
+        predictionValue = prediction.lastChild;
+
+        panel.replaceChildren(
+            title,
+            ...(info.model ? [row(t('info.model'), localize(info.model, language))] : []),
+            ...info.fields.map(field => row(localize(field.label, language), localize(field.value, language))),
+            row(t('info.parameters'), number(statistics.parameters)),
+            row(t('info.neurons'), shownOf(statistics.neurons)),
+            // The architecture's connections, then the ones the demo network wires and the ones drawn
+            row(t('info.connections'), number(connections.total)),
+            ...(connections.simulated !== connections.total ? [row(t('info.simulated'), number(connections.simulated))] : []),
+            row(t('info.drawn'), number(connections.shown)),
+            prediction
+        );
+        updatePrediction();
+    };
+
+    visualizer.addEventListener('networkchange', render);
+    visualizer.addEventListener('qualitychange', render); // Shown neurons and connections
+    visualizer.addEventListener('frame', updatePrediction);
+    languageListeners.push(render);
+    render();
+}
 
-    sharedMaterials.output = new THREE.MeshPhongMaterial({
-        color: CONFIG.colors.outputNeurons,
-        emissive: CONFIG.colors.outputNeurons,
-        emissiveIntensity: 0.3,
-        shininess: 30
+// Music, beat-driven animation and output tones, see audio.js
+function setupSound(visualizer, settings) {
+    const music = document.getElementById('background-music');
+    const prompt = document.getElementById('sound-prompt');
+    const playButton = document.getElementById('sound-play');
+    const muteButton = document.getElementById('sound-mute');
+    const volumeSlider = document.getElementById('sound-volume');
+    const volumeOutput = volumeSlider.parentElement.querySelector('output');
+    const trackSelect = document.getElementById('sound-track');
+    const reactiveCheckbox = document.getElementById('sound-reactive');
+    const tonesCheckbox = document.getElementById('sound-tones');
+    const hasMusic = settings.tracks.length > 0;
+    const sound = createSound(music);
+
+    // Track names from the file names
+    trackSelect.replaceChildren(...settings.tracks.map(url => {
+        const option = document.createElement('option');
+        option.value = url;
+        option.textContent = decodeURIComponent(url.split('/').pop()).replace(/\.[^.]+$/, '');
+        return option;
+    }));
+    if (hasMusic) music.src = settings.tracks[0];
+    playButton.disabled = trackSelect.disabled = !hasMusic;
+
+    const updateButtons = () => {
+        playButton.textContent = t(music.paused ? 'sound.play' : 'sound.pause');
+        muteButton.textContent = t(sound.muted ? 'sound.unmute' : 'sound.mute');
+    };
+    music.addEventListener('play', updateButtons);
+    music.addEventListener('pause', updateButtons);
+    languageListeners.push(updateButtons);
+
+    // Browsers block sound until the page was clicked; then the prompt asks for it
+    const start = () => sound.unlock(hasMusic)
+        .then(() => { prompt.hidden = true; })
+        .catch(() => { prompt.hidden = false; });
+    prompt.addEventListener('click', start);
+    document.addEventListener('pointerdown', () => {
+        if (!prompt.hidden) start();
     });
 
-    sharedMaterials.connection = new THREE.LineBasicMaterial({
-        color: CONFIG.colors.connections,
-        opacity: CONFIG.connectionOpacity,
-        transparent: true
+    playButton.addEventListener('click', () => {
+        if (music.paused) {
+            start();
+        } else {
+            music.pause();
+        }
+    });
+    muteButton.addEventListener('click', () => {
+        sound.muted = !sound.muted;
+        updateButtons();
     });
-}
 
-function createTextSprite(text, color = '#ffffff') {
-    const canvas = document.createElement('canvas');
-    const context = canvas.getContext('2d');
-    canvas.width = 128;
-    canvas.height = 128;
+    volumeSlider.value = settings.volume;
+    const applyVolume = () => {
+        sound.volume = Number(volumeSlider.value);
+        volumeOutput.textContent = `${Math.round(sound.volume * 100)}%`;
+    };
+    volumeSlider.addEventListener('input', applyVolume);
+    applyVolume();
+
+    trackSelect.addEventListener('change', () => {
+        const wasPlaying = !music.paused;
+        music.src = trackSelect.value;
+        if (wasPlaying) start();
+    });
 
-    // Draw text
-    context.fillStyle = color;
-    context.font = 'Bold 100px Arial';
-    context.textAlign = 'center';
-    context.textBaseline = 'middle';
-    context.fillText(text, 64, 64);
+    reactiveCheckbox.checked = settings.reactive;
+    const applyReactive = () => visualizer.setAudioInput(reactiveCheckbox.checked ? () => sound.beatLevel() : null);
+    reactiveCheckbox.addEventListener('change', applyReactive);
+    applyReactive();
 
-    const texture = new THREE.CanvasTexture(canvas);
-    const spriteMaterial = new THREE.SpriteMaterial({ map: texture });
-    const sprite = new THREE.Sprite(spriteMaterial);
+    tonesCheckbox.checked = settings.tones;
+    visualizer.addEventListener('outputactivated', (e) => {
+        if (tonesCheckbox.checked) sound.playTone(e.detail.index, visualizer.labels.length, e.detail.isPrediction ? 1 : 0.4);
+    });
 
-    return sprite;
+    updateButtons();
+    start();
+    return sound;
 }
 
-function buildNeuralNetwork() {
-    const totalLayers = CONFIG.layers.length;
-    const startX = -(totalLayers - 1) * CONFIG.layerSpacing / 2;
-
-    // Create neurons for each layer
-    CONFIG.layers.forEach((neuronCount, layerIndex) => {
-        const x = startX + layerIndex * CONFIG.layerSpacing;
-        const neurons = createLayer(neuronCount, x, layerIndex);
-        neuronMeshes.push(neurons);
-
-        // Create connections to previous layer
-        if (layerIndex > 0) {
-            createConnections(
-                neuronMeshes[layerIndex - 1],
-                neurons,
-                CONFIG.connectionSampleRate
-            );
-        }
+function setupModelDrop(visualizer) {
+    // Drag and drop a model JSON file anywhere onto the page
+    window.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
     });
-}
-
-function createLayer(neuronCount, x, layerIndex) {
-    const neurons = [];
-
-    // Input layer: 4x4 text grid with alternating 0s and 1s (no spheres)
-    if (layerIndex === 0) {
-        const gridSize = 4;
-        const spacing = 0.3;
-
-        for (let i = 0; i < 16; i++) {
-            const row = Math.floor(i / gridSize);
-            const col = i % gridSize;
-
-            // Checkerboard pattern for 0s and 1s
-            const isOne = (row + col) % 2 === 0;
-
-            const y = (row - gridSize / 2 + 0.5) * spacing;
-            const z = (col - gridSize / 2 + 0.5) * spacing;
 
-            // Create text sprite for "0" or "1" (larger and brighter)
-            const sprite = createTextSprite(isOne ? '1' : '0', isOne ? '#555555' : '#ffffff');
-            sprite.position.set(x, y, z);
-            sprite.scale.set(0.25, 0.25, 1); // Larger text
-            sprite.userData.isInputNeuron = true;
-            sprite.userData.isOne = isOne;
-            sprite.userData.pulseIntensity = 0;
-            sprite.userData.baseOpacity = 1.0;
-
-            scene.add(sprite);
-            neurons.push(sprite); // Store sprite instead of mesh
-        }
-    }
-    // Hidden layers: uniform smaller neurons in perfect square grids
-    else if (layerIndex < CONFIG.layers.length - 1) {
-        // Reduce display count by 1/3 and ensure perfect square
-        const displayCount = Math.min(neuronCount, 667); // ~1000 * 2/3
-        const gridSize = Math.floor(Math.sqrt(displayCount)); // Perfect square
-        const actualCount = gridSize * gridSize;
-
-        const spacing = 0.1; // Reduced spacing for tighter grid
-
-        for (let i = 0; i < actualCount; i++) {
-            const row = Math.floor(i / gridSize);
-            const col = i % gridSize;
-
-            const y = (row - gridSize / 2) * spacing;
-            const z = (col - gridSize / 2) * spacing;
-
-            // Reuse shared geometry, but clone material for individual control
-            const material = sharedMaterials.hidden.clone();
-            const neuron = new THREE.Mesh(sharedGeometries.hidden, material);
-            neuron.position.set(x, y, z);
-            neuron.userData.phaseOffset = i * 0.05 + layerIndex; // Pre-calculate phase offset
-            neuron.userData.randomFactor = Math.random(); // For thinking animation
-            neuron.userData.pulseIntensity = 0; // For pulse lighting
-
-            scene.add(neuron);
-            neurons.push(neuron);
-        }
-    }
-    // Output layer: Alphabet A-Z (minus J) as text sprites - 5x5 grid
-    else {
-        const alphabet = 'ABCDEFGHIKLMNOPQRSTUVWXYZ'; // 25 letters (no J)
-        const cols = 5; // 5 columns
-        const rows = 5; // 5 rows (perfect square)
-        const spacing = 0.35;
-
-        for (let i = 0; i < alphabet.length; i++) {
-            const row = Math.floor(i / cols);
-            const col = i % cols;
-
-            const y = (row - rows / 2 + 0.5) * spacing;
-            const z = (col - cols / 2 + 0.5) * spacing;
-
-            // Create text sprite for each letter
-            const sprite = createTextSprite(alphabet[i], '#ffffff');
-            sprite.position.set(x, y, z);
-            sprite.scale.set(0.3, 0.3, 1); // Larger text for output
-            sprite.userData.isOutputNeuron = true;
-            sprite.userData.letter = alphabet[i];
-            sprite.userData.pulseIntensity = 0;
-            sprite.userData.baseOpacity = 0.6; // Dimmer by default
-
-            scene.add(sprite);
-            neurons.push(sprite);
-        }
-    }
+    window.addEventListener('drop', (e) => {
+        e.preventDefault();
+        const file = e.dataTransfer.files[0];
+        if (!file) return;
 
-    return neurons;
+        loadModelFromFile(file)
+            .then(model => visualizer.loadModel(model))
+            .catch(err => showError(t('error.file', { name: file.name }), err.problems || [err.message]));
+    });
 }
 
-function createConnections(fromLayer, toLayer, sampleRate) {
-    const connectionCount = Math.floor(fromLayer.length * toLayer.length * sampleRate);
-
-    for (let i = 0; i < connectionCount; i++) {
-        const fromNeuron = fromLayer[Math.floor(Math.random() * fromLayer.length)];
-        const toNeuron = toLayer[Math.floor(Math.random() * toLayer.length)];
-
-        const points = [
-            fromNeuron.position,
-            toNeuron.position
-        ];
+function showError(title, problems) {
+    const panel = document.getElementById('error-panel');
+    panel.querySelector('h2').textContent = title;
 
-        const geometry = new THREE.BufferGeometry().setFromPoints(points);
+    const list = panel.querySelector('ul');
+    list.replaceChildren(...problems.map(problem => {
+        const item = document.createElement('li');
+        item.textContent = problem;
+        return item;
+    }));
 
-        // Clone shared material for individual opacity control
-        const material = sharedMaterials.connection.clone();
-
-        const line = new THREE.Line(geometry, material);
-        line.userData.baseOpacity = CONFIG.connectionOpacity;
-        line.userData.flashOffset = Math.random() * Math.PI * 2; // Random phase for flashing
-        line.userData.fromNeuron = fromNeuron; // Store source neuron
-        line.userData.toNeuron = toNeuron; // Store target neuron
-
-        scene.add(line);
-        connectionLines.push(line);
-    }
+    panel.hidden = false;
 }
 
-function createPulse(connection) {
-    // No mesh needed - pulse is represented by line brightness
-    pulses.push({
-        connection: connection,
-        progress: 0,
-        speed: 0.03 + Math.random() * 0.02 // Speed of pulse traveling through line
-    });
+function hideError() {
+    document.getElementById('error-panel').hidden = true;
 }
 
-function animate() {
-    requestAnimationFrame(animate);
-
-    // Increment animation time (more efficient than Date.now())
-    animationTime += 0.016; // ~60fps
-
-    // Smooth camera zoom interpolation
-    currentCameraDistance += (targetCameraDistance - currentCameraDistance) * 0.1;
-
-    // Rotate camera around the scene with smooth interpolated distance
-    if (isRotating) {
-        const angle = Math.atan2(camera.position.z, camera.position.x);
-        const newAngle = angle + rotationSpeed;
-
-        camera.position.x = currentCameraDistance * Math.cos(newAngle);
-        camera.position.z = currentCameraDistance * Math.sin(newAngle);
-        camera.lookAt(0, 0, 0);
-    }
-
-    // Create new pulses periodically - starting from input layer
-    if (animationTime - lastPulseTime > 0.2) { // Create pulse every 0.2 seconds
-        lastPulseTime = animationTime;
-
-        // Start pulses from random input neurons
-        if (neuronMeshes.length > 0 && connectionLines.length > 0) {
-            const numPulses = Math.min(3, Math.floor(connectionLines.length / 100));
-
-            for (let i = 0; i < numPulses; i++) {
-                // Find connections that start from input layer
-                const inputConnections = connectionLines.filter(conn =>
-                    conn.userData.fromNeuron.userData.isInputNeuron
-                );
-
-                if (inputConnections.length > 0) {
-                    const randomConnection = inputConnections[Math.floor(Math.random() * inputConnections.length)];
-                    createPulse(randomConnection);
-                }
-            }
-        }
-    }
+function setupTrainingControls(visualizer) {
+    const toggle = document.getElementById('training-toggle');
+    const controls = document.getElementById('training-controls');
+    let trainingMode = false;
+    let progress = null; // Last trainingupdate
+
+    const render = () => {
+        toggle.textContent = t(trainingMode ? 'training.exit' : 'training.enter');
+        document.getElementById('training-play').textContent = t(visualizer.isTraining ? 'training.pause' : 'training.play');
+        if (!progress) return;
+
+        const { epoch, steps, loss, accuracy, noisyAccuracy } = progress;
+        document.getElementById('training-epoch').textContent = t('training.steps', { epoch, steps });
+        document.getElementById('training-loss').textContent = loss === null ? '–' : loss.toFixed(3);
+        document.getElementById('training-accuracy').textContent = t('training.accuracyValue', {
+            letters: Math.round(accuracy * 100),
+            noisy: Math.round(noisyAccuracy * 100)
+        });
+    };
+
+    visualizer.addEventListener('networkchange', (e) => {
+        trainingMode = e.detail.training;
+        controls.hidden = !trainingMode;
+        render();
+    });
 
-    // Update pulses - create traveling wave effect
-    for (let i = pulses.length - 1; i >= 0; i--) {
-        const pulse = pulses[i];
-        pulse.progress += pulse.speed;
-
-        const connection = pulse.connection;
-
-        if (pulse.progress >= 1) {
-            // Pulse completed - light up target neuron brightly and propagate
-            connection.userData.toNeuron.userData.pulseIntensity = 2.0;
-
-            // Propagate pulse to next layer
-            const targetNeuron = connection.userData.toNeuron;
-            const nextLayerConnections = connectionLines.filter(conn =>
-                conn.userData.fromNeuron === targetNeuron
-            );
-
-            // Always propagate to next layer for continuous flow
-            if (nextLayerConnections.length > 0) {
-                // Propagate to 1-2 random connections in next layer
-                const numPropagate = Math.min(2, nextLayerConnections.length);
-                for (let j = 0; j < numPropagate; j++) {
-                    const nextConnection = nextLayerConnections[Math.floor(Math.random() * nextLayerConnections.length)];
-                    createPulse(nextConnection);
-                }
-            }
+    visualizer.addEventListener('trainingupdate', (e) => {
+        progress = e.detail;
+        render();
+    });
+    languageListeners.push(render);
 
-            // Remove pulse
-            pulses.splice(i, 1);
+    toggle.addEventListener('click', () => {
+        if (visualizer.isTrainingMode) {
+            visualizer.stopTraining();
         } else {
-            // Create traveling wave effect along the line
-            if (connection.visible) {
-                const pulseWidth = 0.3; // Width of the bright pulse area
-                const pulseCenter = pulse.progress;
-
-                // Calculate intensity based on distance from pulse center
-                // This creates a traveling "wave" effect
-                const distanceFromPulse = Math.abs(0.5 - pulseCenter);
-                const intensity = Math.max(0, 1 - distanceFromPulse / pulseWidth);
-
-                // Make the line bright where the pulse is
-                connection.material.opacity = CONFIG.connectionOpacity + intensity * 0.8;
-
-                // Color transition from dark to bright white
-                const brightWhite = new THREE.Color(CONFIG.colors.pulseColor);
-                const darkGray = new THREE.Color(CONFIG.colors.connections);
-                connection.material.color.copy(darkGray).lerp(brightWhite, intensity);
-
-                // Light up the source neuron/text at start of pulse
-                if (pulse.progress < 0.15) {
-                    connection.userData.fromNeuron.userData.pulseIntensity = 2.5;
-                }
-
-                // Light up target neuron as pulse approaches
-                if (pulse.progress > 0.85) {
-                    const approachIntensity = (pulse.progress - 0.85) / 0.15;
-                    connection.userData.toNeuron.userData.pulseIntensity = Math.max(
-                        connection.userData.toNeuron.userData.pulseIntensity,
-                        approachIntensity * 1.5
-                    );
-                }
-            }
-        }
-    }
-
-    // Pre-calculate common sin values
-    const time2 = Math.sin(animationTime * 2);
-    const time05 = Math.sin(animationTime * 0.5);
-
-    // Periodic flashing effect for input text (alternating 0s and 1s)
-    if (neuronMeshes.length > 0) {
-        const inputLayer = neuronMeshes[0];
-        for (let i = 0; i < inputLayer.length; i++) {
-            const sprite = inputLayer[i];
-
-            // Decay pulse intensity
-            sprite.userData.pulseIntensity *= 0.85;
-
-            // Text sprites use opacity for brightness
-            const baseOpacity = sprite.userData.isOne
-                ? time05 * 0.1 + 0.5  // "1" text (gray) - subtle pulse
-                : (time2 * 0.2 + 0.8) * 1.0; // "0" text (white) - brighter
-
-            // Add pulse glow effect
-            const pulseGlow = sprite.userData.pulseIntensity;
-            sprite.material.opacity = Math.min(1, baseOpacity + pulseGlow * 0.5);
-
-            // Scale effect when pulsed
-            const scaleBoost = 1 + pulseGlow * 0.3;
-            sprite.scale.set(0.25 * scaleBoost, 0.25 * scaleBoost, 1);
+            visualizer.startTraining();
         }
-    }
-
-    // "Thinking" effect on hidden neurons with pulse lighting
-    for (let layerIndex = 1; layerIndex < neuronMeshes.length - 1; layerIndex++) {
-        const layer = neuronMeshes[layerIndex];
-        const layerTime = animationTime * (1 + layerIndex * 0.2);
-
-        for (let i = 0; i < layer.length; i++) {
-            const neuron = layer[i];
+    });
 
-            // Decay pulse intensity
-            neuron.userData.pulseIntensity *= 0.88;
+    document.getElementById('training-play').addEventListener('click', () => {
+        visualizer.setTrainingRunning(!visualizer.isTraining);
+    });
 
-            // Create wave patterns across the grid with random variations
-            const wave1 = Math.sin(layerTime + neuron.userData.phaseOffset);
-            const wave2 = Math.sin(layerTime * 1.5 + neuron.userData.randomFactor * 10);
-            const randomPulse = Math.sin(layerTime * 2 + neuron.userData.randomFactor * 20);
+    document.getElementById('training-step').addEventListener('click', () => visualizer.trainStep());
+    document.getElementById('training-reset').addEventListener('click', () => visualizer.startTraining());
 
-            // Combine waves for complex "thinking" pattern
-            const thinking = (wave1 * 0.4 + wave2 * 0.3 + randomPulse * 0.3);
-            const baseIntensity = Math.max(0.05, thinking * 0.15 + 0.1);
+    // Show a random letter from the training set on the input grid
+    document.getElementById('training-sample').addEventListener('click', () => {
+        const labels = Object.keys(LETTER_GLYPHS);
+        const letter = labels[Math.floor(Math.random() * labels.length)];
+        visualizer.setInputPattern(glyphToInput(LETTER_GLYPHS[letter]));
+    });
+}
 
-            // When hit by pulse, transition color from grey to bright white
-            const greyColor = new THREE.Color(CONFIG.colors.hiddenNeurons);
-            const whiteColor = new THREE.Color(0xffffff);
-            const pulseAmount = Math.min(1, neuron.userData.pulseIntensity);
+// Sliders of the control panel: config key, how to show the value and how it maps to the config.
+// Structural settings rebuild the scene, so they apply when the slider is released.
+const SLIDERS = [
+    { key: 'rotationSpeed', format: v => v.toFixed(4) },
+    { key: 'connectionSampleRate', format: v => `${(v * 100).toFixed(1)}%`, onRelease: true },
+    { key: 'connectionOpacity', format: v => v.toFixed(2) },
+    { key: 'layerSpacing', format: v => v.toFixed(1), onRelease: true },
+    // Pulses per second <-> seconds between pulses
+    { key: 'pulseInterval', id: 'pulseRate', format: v => String(v), toConfig: v => 1 / v, fromConfig: v => Math.round(1 / v) }
+];
+
+function setupControlPanel(visualizer) {
+    const panel = document.getElementById('control-panel');
+    const rotationButton = document.getElementById('control-rotation');
+    const connectionsButton = document.getElementById('control-connections');
+
+    const updateButtons = () => {
+        rotationButton.textContent = t(visualizer.isRotating ? 'controls.pauseRotation' : 'controls.resumeRotation');
+        connectionsButton.textContent = t(visualizer.showConnections ? 'controls.hideConnections' : 'controls.showConnections');
+    };
+    const toggleRotation = () => {
+        visualizer.setRotating(!visualizer.isRotating);
+        updateButtons();
+    };
+    const toggleConnections = () => {
+        visualizer.setConnectionsVisible(!visualizer.showConnections);
+        updateButtons();
+    };
+    languageListeners.push(updateButtons);
+    const resetCamera = () => visualizer.resetCamera();
+
+    // Themes recolor the scene and panels in place, no rebuild
+    const themeSelect = document.getElementById('control-theme');
+    themeSelect.value = visualizer.config.theme;
+    themeSelect.addEventListener('change', () => visualizer.setConfig({ theme: themeSelect.value }));
+    const nextTheme = () => {
+        themeSelect.selectedIndex = (themeSelect.selectedIndex + 1) % themeSelect.options.length;
+        visualizer.setConfig({ theme: themeSelect.value });
+    };
+
+    // Layouts move the neurons to their new places, no rebuild either
+    const layoutSelect = document.getElementById('control-layout');
+    layoutSelect.value = visualizer.config.layout;
+    layoutSelect.addEventListener('change', () => visualizer.setConfig({ layout: layoutSelect.value }));
+    const nextLayout = () => {
+        layoutSelect.selectedIndex = (layoutSelect.selectedIndex + 1) % layoutSelect.options.length;
+        visualizer.setConfig({ layout: layoutSelect.value });
+    };
+
+    // Reduced motion starts from the OS setting; ticking the box overrides it
+    const motionCheckbox = document.getElementById('control-reducedMotion');
+    motionCheckbox.checked = visualizer.reducedMotion;
+    motionCheckbox.addEventListener('change', () => visualizer.setConfig({ reducedMotion: motionCheckbox.checked }));
+    visualizer.addEventListener('motionchange', (e) => {
+        motionCheckbox.checked = e.detail.reducedMotion;
+        updateButtons();
+    });
 
-            neuron.material.emissive.copy(greyColor).lerp(whiteColor, pulseAmount);
-            neuron.material.emissiveIntensity = baseIntensity + pulseAmount * 1.2;
+    // Automatic lets the governor pick within the configured bounds, a tier fixes it
+    const qualitySelect = document.getElementById('control-quality');
+    qualitySelect.value = visualizer.config.quality.adaptive ? 'auto' : visualizer.config.quality.tier;
+    qualitySelect.addEventListener('change', () => visualizer.setConfig({
+        quality: qualitySelect.value === 'auto' ? { adaptive: true } : { adaptive: false, tier: qualitySelect.value }
+    }));
+
+    const overlayCheckbox = document.getElementById('control-overlay');
+    overlayCheckbox.checked = visualizer.config.quality.overlay;
+    overlayCheckbox.addEventListener('change', () => visualizer.setConfig({ quality: { overlay: overlayCheckbox.checked } }));
+    const toggleOverlay = () => {
+        overlayCheckbox.checked = !overlayCheckbox.checked;
+        visualizer.setConfig({ quality: { overlay: overlayCheckbox.checked } });
+    };
+
+    rotationButton.addEventListener('click', toggleRotation);
+    connectionsButton.addEventListener('click', toggleConnections);
+    document.getElementById('control-camera').addEventListener('click', resetCamera);
+
+    SLIDERS.forEach(({ key, id = key, format, onRelease = false, toConfig = v => v, fromConfig = v => v }) => {
+        const slider = document.getElementById(`control-${id}`);
+        const output = slider.parentElement.querySelector('output');
+        slider.value = fromConfig(visualizer.config[key]);
+        output.textContent = format(Number(slider.value));
+
+        slider.addEventListener('input', () => {
+            output.textContent = format(Number(slider.value));
+            if (!onRelease) visualizer.setConfig({ [key]: toConfig(Number(slider.value)) });
+        });
+        if (onRelease) {
+            slider.addEventListener('change', () => visualizer.setConfig({ [key]: toConfig(Number(slider.value)) }));
         }
-    }
+    });
 
-    // Output alphabet layer animation
-    if (neuronMeshes.length > 0) {
-        const outputLayer = neuronMeshes[neuronMeshes.length - 1];
-        for (let i = 0; i < outputLayer.length; i++) {
-            const sprite = outputLayer[i];
+    // Keyboard shortcuts, except while typing, with modifier keys (browser shortcuts) or
+    // when the canvas already used the key for its neuron cursor
+    Object.assign(shortcuts, {
+        ' ': toggleRotation,
+        r: resetCamera,
+        c: toggleConnections,
+        t: nextTheme,
+        l: nextLayout,
+        f: toggleOverlay,
+        h: () => { panel.open = !panel.open; }
+    });
+    window.addEventListener('keydown', (e) => {
+        if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey || e.target.closest('input, textarea, select')) return;
+        if (!visualizer.interactive) return; // Another window is in control
+        if (e.key === ' ' && e.target.closest('button, summary')) return; // Space already clicks those
+        const action = shortcuts[e.key.toLowerCase()];
+        if (!action) return;
+
+        e.preventDefault(); // No page scrolling on space
+        action();
+    });
+}
 
-            // Decay pulse intensity
-            sprite.userData.pulseIntensity *= 0.85;
+// Output scores, layer histograms and recent predictions beside the canvas (see dashboard.js).
+// It is outside the visualizer's container, so it gets copies of the theme's panel colors.
+function setupDashboard(visualizer, settings) {
+    const panel = document.getElementById('dashboard-panel');
+    const checkbox = document.getElementById('control-dashboard');
+    const { open, ...options } = settings;
+    const dashboard = createDashboard(visualizer, panel, options);
+
+    const applyColors = () => {
+        Object.entries(visualizer.colors.panel).forEach(([key, value]) => panel.style.setProperty(panelProperty(key), value));
+        panel.style.background = `#${visualizer.colors.background.toString(16).padStart(6, '0')}`;
+    };
+    applyColors();
+    visualizer.addEventListener('configchange', (e) => {
+        if ('theme' in e.detail.overrides || 'colors' in e.detail.overrides) applyColors();
+    });
 
-            // Base subtle glow
-            const baseOpacity = 0.5 + Math.sin(animationTime * 0.5 + i * 0.3) * 0.1;
+    // The canvas gets narrower or wider; the visualizer follows its container's size
+    const show = (visible) => {
+        panel.hidden = !visible;
+        checkbox.checked = visible;
+        if (visible) dashboard.draw();
+    };
+    show(open);
+    checkbox.addEventListener('change', () => show(checkbox.checked));
+    Object.assign(shortcuts, { d: () => show(panel.hidden) });
+}
 
-            // Add pulse glow effect
-            const pulseGlow = sprite.userData.pulseIntensity;
-            sprite.material.opacity = Math.min(1, baseOpacity + pulseGlow * 0.6);
+// Caption panel and controls of a guided tour; it opens on the first step.
+// Page Up/Down also work with the clickers used for slides.
+function setupTour(visualizer, tour) {
+    const panel = document.getElementById('tour-panel');
+    const title = document.getElementById('tour-title');
+    const caption = document.getElementById('tour-caption');
+    const counter = document.getElementById('tour-counter');
+    const previousButton = document.getElementById('tour-previous');
+    const nextButton = document.getElementById('tour-next');
+    const playButton = document.getElementById('tour-play');
+    const startButton = document.getElementById('control-tour');
+
+    const render = () => {
+        panel.hidden = !player.active;
+        if (!player.active) return;
+
+        title.hidden = !tour.title;
+        title.textContent = localize(tour.title, language) || '';
+        caption.textContent = localize(player.step.caption, language) || '';
+        counter.textContent = t('tour.step', { index: player.index + 1, count: tour.steps.length });
+        playButton.textContent = t(player.playing ? 'tour.pause' : 'tour.play');
+        previousButton.disabled = player.index === 0;
+        nextButton.disabled = player.index === tour.steps.length - 1;
+    };
+    const player = createTourPlayer(visualizer, tour, { onChange: render });
+
+    previousButton.addEventListener('click', player.previous);
+    nextButton.addEventListener('click', player.next);
+    playButton.addEventListener('click', () => player.setPlaying(!player.playing));
+    document.getElementById('tour-close').addEventListener('click', player.stop);
+    startButton.addEventListener('click', player.start);
+    startButton.hidden = false;
+
+    Object.assign(shortcuts, {
+        pagedown: () => (player.active ? player.next() : player.start()),
+        pageup: player.previous,
+        escape: player.stop
+    });
+    languageListeners.push(render);
+    player.start();
+}
 
-            // Scale effect when pulsed (letters grow when activated)
-            const scaleBoost = 1 + pulseGlow * 0.4;
-            sprite.scale.set(0.3 * scaleBoost, 0.3 * scaleBoost, 1);
+// Presenter and followers, see sync.js. Followers hide the other controls; the presenter
+// can hand control over to one of them.
+function setupSync(visualizer, settings) {
+    const roleSelect = document.getElementById('sync-role');
+    const status = document.getElementById('sync-status');
+    const followerSelect = document.getElementById('sync-followers');
+    const handOverButton = document.getElementById('sync-handover');
+    let sync = null;
+
+    const render = () => {
+        const role = sync ? sync.role : 'off';
+        const followers = role === 'presenter' ? sync.followers : [];
+        roleSelect.value = role;
+        document.body.classList.toggle('following', role === 'follower');
+
+        followerSelect.replaceChildren(...followers.map(({ id, name }) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = name;
+            return option;
+        }));
+        followerSelect.disabled = handOverButton.disabled = followers.length === 0;
+
+        if (role === 'off') {
+            status.textContent = '';
+        } else if (role === 'presenter') {
+            status.textContent = t('sync.followers', { count: followers.length });
+        } else {
+            status.textContent = t(sync.connected ? 'sync.following' : 'sync.waiting');
         }
-    }
-
-    // Fade connections back to normal color and opacity
-    for (let i = 0; i < connectionLines.length; i++) {
-        const line = connectionLines[i];
-        if (line.visible) {
-            // Gradually fade back to dark gray
-            const currentColor = line.material.color.getHex();
-            if (currentColor !== CONFIG.colors.connections) {
-                line.material.color.lerp(new THREE.Color(CONFIG.colors.connections), 0.15);
-            }
-
-            // Gradually fade opacity back to base
-            if (line.material.opacity > CONFIG.connectionOpacity) {
-                line.material.opacity += (CONFIG.connectionOpacity - line.material.opacity) * 0.15;
-            }
+    };
+
+    const connect = (role) => {
+        if (sync) sync.close();
+        sync = null;
+        if (role !== 'off') {
+            const transport = settings.relay
+                ? createWebSocketTransport(settings.relay, {
+                    onClose: (wasOpen) => showError(t('error.sync'), [wasOpen
+                        ? `The connection to the relay "${settings.relay}" was closed.`
+                        : `Could not connect to the relay "${settings.relay}".`])
+                })
+                : createBroadcastTransport(settings.channel);
+            sync = createSync(visualizer, transport, { role, name: settings.name, onChange: render });
         }
-    }
-
-    renderer.render(scene, camera);
-}
+        render();
+    };
 
-function onWindowResize() {
-    const container = document.getElementById('canvas-container');
-    camera.aspect = container.clientWidth / container.clientHeight;
-    camera.updateProjectionMatrix();
-    renderer.setSize(container.clientWidth, container.clientHeight);
+    roleSelect.addEventListener('change', () => connect(roleSelect.value));
+    handOverButton.addEventListener('click', () => sync.handOver(followerSelect.value));
+    window.addEventListener('pagehide', () => {
+        if (sync) sync.close();
+    });
+    languageListeners.push(render);
+    connect(settings.role);
 }
 
-function setupControls() {
-    // Auto-play music (some browsers require user interaction)
+function setupExport(visualizer, sound) {
+    const videoButton = document.getElementById('export-video');
+    const framesButton = document.getElementById('export-frames');
+    const status = document.getElementById('export-status');
     const music = document.getElementById('background-music');
-    music.volume = 0.5; // Set volume to 50%
-    music.play().catch(err => {
-        console.log('Autoplay prevented by browser:', err);
-    });
-
-    // Mouse interaction for manual rotation
-    let isDragging = false;
-    let previousMousePosition = { x: 0, y: 0 };
-
-    renderer.domElement.addEventListener('mousedown', (e) => {
-        isDragging = true;
-        previousMousePosition = { x: e.clientX, y: e.clientY };
-    });
-
-    renderer.domElement.addEventListener('mousemove', (e) => {
-        if (isDragging) {
-            const deltaX = e.clientX - previousMousePosition.x;
-            const deltaY = e.clientY - previousMousePosition.y;
-
-            const radius = Math.sqrt(
-                camera.position.x ** 2 + camera.position.z ** 2
-            );
-            const angle = Math.atan2(camera.position.z, camera.position.x);
-            const newAngle = angle + deltaX * 0.01;
-
-            camera.position.x = radius * Math.cos(newAngle);
-            camera.position.z = radius * Math.sin(newAngle);
-            camera.position.y += deltaY * 0.01;
-            camera.lookAt(0, 0, 0);
+    let recording = null;
+    let stopTimer = null;
+
+    const updateVideoButton = () => {
+        videoButton.textContent = t(recording ? 'export.stop' : 'export.record');
+    };
+    languageListeners.push(updateVideoButton);
+
+    const options = () => {
+        const [width, height] = document.getElementById('export-resolution').value.split('x').map(Number);
+        return {
+            width,
+            height,
+            fps: Number(document.getElementById('export-fps').value),
+            duration: Math.max(1, Math.min(60, Number(document.getElementById('export-duration').value) || 5)),
+            overlay: document.getElementById('export-overlay').checked ? document.getElementById('info-panel') : null,
+            withMusic: document.getElementById('export-music').checked
+        };
+    };
+
+    const stopRecording = () => {
+        clearTimeout(stopTimer);
+        recording.stop()
+            .then(blob => download(blob, 'neural-network.webm'))
+            .catch(err => showError(t('error.export'), err.problems || [err.message]))
+            .finally(() => {
+                recording = null;
+                updateVideoButton();
+                framesButton.disabled = false;
+                status.textContent = '';
+            });
+    };
+
+    // Live recording; stops by itself after the chosen length
+    videoButton.addEventListener('click', () => {
+        if (recording) {
+            stopRecording();
+            return;
+        }
 
-            previousMousePosition = { x: e.clientX, y: e.clientY };
+        const { withMusic, duration, ...settings } = options();
+        try {
+            if (withMusic && music.paused) sound.unlock().catch(() => {}); // Only playing music ends up in the recording
+            recording = startVideoRecording(visualizer, { ...settings, audio: withMusic ? sound.captureStream() : null });
+        } catch (err) {
+            showError(t('error.export'), err.problems || [err.message]);
+            return;
         }
-    });
+        if (recording.problems.length > 0) showError(t('error.exportIncomplete'), recording.problems);
 
-    renderer.domElement.addEventListener('mouseup', () => {
-        isDragging = false;
+        updateVideoButton();
+        framesButton.disabled = true;
+        status.textContent = t('export.recording');
+        stopTimer = setTimeout(stopRecording, duration * 1000);
     });
 
-    renderer.domElement.addEventListener('mouseleave', () => {
-        isDragging = false;
-    });
+    // Offline frame by frame, independent of how fast the page can render
+    framesButton.addEventListener('click', () => {
+        const { withMusic, ...settings } = options();
+        videoButton.disabled = framesButton.disabled = true;
 
-    // Mouse wheel zoom - smooth interpolation
-    renderer.domElement.addEventListener('wheel', (e) => {
-        e.preventDefault();
-        const zoomSpeed = 0.15;
-        const direction = e.deltaY > 0 ? 1 : -1;
+        exportFrames(visualizer, {
+            ...settings,
+            music: withMusic ? music.currentSrc : null,
+            onProgress: (done, total) => {
+                status.textContent = t('export.progress', { done, total });
+            }
+        })
+            .then(blob => download(blob, 'neural-network-frames.zip'))
+            .catch(err => showError(t('error.export'), err.problems || [err.message]))
+            .finally(() => {
+                videoButton.disabled = framesButton.disabled = false;
+                status.textContent = '';
+            });
+    });
+}
 
-        // Update target distance, actual distance will smoothly interpolate in animate()
-        targetCameraDistance *= (1 + direction * zoomSpeed);
+function download(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
 
-        // Clamp zoom distance to reasonable bounds
-        targetCameraDistance = Math.max(3, Math.min(30, targetCameraDistance));
-    });
+// Without a visualizer (e.g. no WebGL and no 2D canvas either) the page at least says why
+function start() {
+    init().catch(err => showError(t('error.start'), err.problems || [err.message]));
 }
 
 // Initialize when DOM is ready
 if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', init);
+    document.addEventListener('DOMContentLoaded', start);
 } else {
-    init();
+    start();
 }
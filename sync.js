@@ -0,0 +1,317 @@
+// Presenter/audience sync: one window (the presenter) sends its camera, input, settings,
+// network and pulses, the others (followers) stop their own animation loop and render a frame
+// whenever the presenter does. Pulses are seeded (pulse-simulation.js), so from the same
+// state, with the same input and frame times every window shows the same pulses.
+//
+// Messages are plain JSON objects with a `type` and the sender's id (`from`):
+//   hello              a follower asks for the state
+//   state              presenter -> all: settings, seed, network (unless it is the demo network
+//                      drawn from the seed), input, selection and the pulses as they are
+//   joined / bye       a follower shows the presenter's state / a window leaves
+//   frame              presenter -> all, once per frame: time step, camera and frame state
+//   weights            presenter -> all, before a frame: weights changed by training
+//   config, input, select   presenter -> all: changes between frames
+//   handover           presenter -> one follower (`to`), which takes over control
+//
+// A transport carries them: { send(message), listen(callback), close() }.
+
+import { parseModel, serializeModel } from './model-loader.js';
+
+const DRIFT = 0.05; // Seconds of pulse time a follower may differ before it asks for the state again
+
+// All windows of this browser with the same channel name
+export function createBroadcastTransport(name = 'neural-network-3d') {
+    const channel = new BroadcastChannel(name);
+    return {
+        send: message => channel.postMessage(message),
+        listen: callback => channel.addEventListener('message', e => callback(e.data)),
+        close: () => channel.close()
+    };
+}
+
+// Other devices through a WebSocket relay that passes every text message on to the other
+// clients, e.g. `websocat -t ws-l:0.0.0.0:8080 broadcast:mirror:`. A relay that echoes
+// messages back is fine, senders skip their own. onClose(wasOpen) reports a connection that
+// failed or was lost, not one closed by close().
+export function createWebSocketTransport(url, { onClose = () => {} } = {}) {
+    const socket = new WebSocket(url);
+    const queue = []; // Sent before the connection was open
+    let wasOpen = false;
+    let closed = false;
+
+    socket.addEventListener('open', () => {
+        wasOpen = true;
+        queue.splice(0).forEach(text => socket.send(text));
+    });
+    socket.addEventListener('close', () => {
+        if (!closed) onClose(wasOpen);
+    });
+
+    return {
+        send(message) {
+            const text = JSON.stringify(message);
+            if (socket.readyState === WebSocket.OPEN) {
+                socket.send(text);
+            } else if (socket.readyState === WebSocket.CONNECTING && message.type !== 'frame') {
+                queue.push(text); // Frames are outdated by then
+            }
+        },
+        listen(callback) {
+            socket.addEventListener('message', (e) => {
+                let message;
+                try {
+                    message = JSON.parse(e.data);
+                } catch (err) {
+                    return; // Not one of ours
+                }
+                callback(message);
+            });
+        },
+        close() {
+            closed = true;
+            socket.close();
+        }
+    };
+}
+
+// role: 'presenter' or 'follower'; name: shown to the presenter for handing over control.
+// onChange() runs when the role, the followers or the connection to the presenter change.
+export function createSync(visualizer, transport, { role = 'presenter', name = '', onChange = () => {} } = {}) {
+    const id = Math.random().toString(36).slice(2, 10);
+    const followers = new Map(); // Presenter: id -> name
+    let presenterId = null; // Follower: whose frames are shown, once its state arrived
+    let audioLevel = 0; // Follower: the presenter's music level of the current frame
+    let before = null; // Follower: own settings to restore when taking over
+    let stateDue = false; // Presenter: the network was replaced, followers need the new one
+    let weightsChanged = false; // Presenter: training changed the weights since the last frame
+
+    const send = (type, data = {}) => transport.send({ ...data, type, from: id });
+
+    // One { weights, biases } per layer (see visualizer.setWeights())
+    const currentWeights = () => visualizer.network.layers.map(layer => ({
+        weights: Array.from(layer.weights),
+        biases: Array.from(layer.biases)
+    }));
+
+    // A network in training comes from the seed like the demo network and gets the current
+    // weights; a loaded model goes as a model file
+    function sendState() {
+        const { language, ...config } = visualizer.config; // Every window keeps its own language
+        const training = visualizer.isTrainingMode;
+        stateDue = weightsChanged = false;
+        send('state', {
+            config: { ...config, seed: visualizer.seed },
+            training,
+            weights: training ? currentWeights() : null,
+            model: training || visualizer.isDemoNetwork ? null : serializeModel(visualizer.network, visualizer.labels),
+            quality: visualizer.qualityTier,
+            input: Array.from(visualizer.inputValues),
+            selected: visualizer.selectedNeuron,
+            clock: visualizer.animationTime,
+            pulses: visualizer.simulation.save()
+        });
+    }
+
+    // Follower: show the presenter's network and go on with its pulses from where they are
+    function applyState({ config, training, weights, model, quality, input, selected, clock, pulses }) {
+        visualizer.setConfig(config);
+        if (training) {
+            visualizer.startTraining();
+            visualizer.setWeights(weights);
+        } else if (model) {
+            visualizer.loadModel(parseModel(model));
+        }
+        // The tier decides which lines carry pulses
+        visualizer.setQualityTier(quality);
+        visualizer.setInputPattern(input);
+        visualizer.selectNeuron(selected);
+        visualizer.simulation.restore(pulses); // Last, a new input sends a burst of its own
+        visualizer.animationTime = clock; // The shimmer of the hidden layers follows it
+    }
+
+    function follow() {
+        role = 'follower';
+        presenterId = null;
+        before = { rotating: visualizer.isRotating, audioInput: visualizer.audioInput };
+        visualizer.pause();
+        visualizer.setInteractive(false);
+        visualizer.setRotating(false);
+        visualizer.setAudioInput(() => audioLevel);
+        send('hello');
+        onChange();
+    }
+
+    function present() {
+        role = 'presenter';
+        presenterId = null;
+        if (before) {
+            visualizer.setRotating(before.rotating);
+            visualizer.setAudioInput(before.audioInput);
+            before = null;
+        }
+        visualizer.setInteractive(true);
+        visualizer.start();
+        sendState();
+        onChange();
+    }
+
+    // Follower: show the presenter's frame
+    function showFrame({ delta, time, camera, audio, highlight, pulsesPaused, reducedMotion, quality }) {
+        visualizer.orbit.azimuth = camera.azimuth;
+        visualizer.orbit.polar = camera.polar;
+        visualizer.currentCameraDistance = visualizer.targetCameraDistance = camera.distance;
+        visualizer.cameraTarget.fromArray(camera.target);
+        visualizer.focusTarget.fromArray(camera.target);
+        visualizer.cameraTween = null;
+
+        audioLevel = audio;
+        visualizer.highlightLayer(highlight);
+        visualizer.setPulsesPaused(pulsesPaused);
+        if (visualizer.reducedMotion !== reducedMotion) visualizer.setConfig({ reducedMotion });
+        // The tier decides which lines carry pulses, so it follows the presenter's governor
+        visualizer.setQualityTier(quality);
+        visualizer.step(delta);
+
+        // Out of step (e.g. messages were lost): start over from the presenter's state
+        if (Math.abs(visualizer.simulation.time - time) > DRIFT) {
+            presenterId = null;
+            send('hello');
+            onChange();
+        }
+    }
+
+    transport.listen((message) => {
+        if (!message || message.from === id) return;
+
+        if (role === 'presenter') {
+            if (message.type === 'hello') {
+                sendState();
+            } else if (message.type === 'joined') {
+                followers.set(message.from, message.name || message.from);
+                onChange();
+            } else if (message.type === 'bye' && followers.delete(message.from)) {
+                onChange();
+            }
+            return;
+        }
+
+        switch (message.type) {
+            case 'state':
+                presenterId = message.from;
+                applyState(message);
+                send('joined', { name });
+                onChange();
+                break;
+            case 'handover':
+                if (message.to === id) present();
+                break;
+            case 'bye':
+                if (message.from === presenterId) {
+                    presenterId = null;
+                    onChange();
+                }
+                break;
+            default:
+                // Changes between frames only count from the presenter whose state was applied
+                if (message.from !== presenterId) return;
+                if (message.type === 'frame') showFrame(message);
+                if (message.type === 'weights') visualizer.setWeights(message.layers);
+                if (message.type === 'config') visualizer.setConfig(message.overrides);
+                if (message.type === 'input') visualizer.setInputPattern(message.values);
+                if (message.type === 'select') visualizer.selectNeuron(message.neuron);
+        }
+    });
+
+    // Presenter: pass on what happens here
+    const listeners = new AbortController();
+    const { signal } = listeners;
+    const presenting = handler => (e) => {
+        if (role === 'presenter') handler(e.detail);
+    };
+    visualizer.addEventListener('frame', presenting(({ delta }) => {
+        // The state already holds this frame
+        if (stateDue) {
+            sendState();
+            return;
+        }
+        if (weightsChanged) {
+            weightsChanged = false;
+            send('weights', { layers: currentWeights() });
+        }
+        send('frame', {
+            delta,
+            time: visualizer.simulation.time,
+            camera: {
+                azimuth: visualizer.orbit.azimuth,
+                polar: visualizer.orbit.polar,
+                distance: visualizer.currentCameraDistance,
+                target: visualizer.cameraTarget.toArray()
+            },
+            audio: visualizer.audioLevel,
+            highlight: visualizer.highlightedLayer,
+            pulsesPaused: visualizer.pulsesPaused,
+            reducedMotion: visualizer.reducedMotion,
+            quality: visualizer.qualityTier
+        });
+    }), { signal });
+    visualizer.addEventListener('configchange', presenting(({ overrides }) => {
+        const { language, ...rest } = overrides;
+        if (Object.keys(rest).length > 0) {
+            // Followers rebuild the same network from these settings themselves
+            stateDue = false;
+            send('config', { overrides: rest });
+        }
+    }), { signal });
+    // A loaded model, training mode or a restored WebGL context; setConfig() follows its
+    // networkchange with a configchange at once
+    visualizer.addEventListener('networkchange', presenting(() => {
+        stateDue = true;
+    }), { signal });
+    visualizer.addEventListener('weightschange', presenting(() => {
+        weightsChanged = true;
+    }), { signal });
+    visualizer.addEventListener('inputchange', presenting(({ values }) => send('input', { values })), { signal });
+    visualizer.addEventListener('neuronselect', presenting(neuron => send('select', { neuron })), { signal });
+
+    if (role === 'follower') {
+        follow();
+    } else {
+        present();
+    }
+
+    return {
+        id,
+        // Presenter: give control to a follower and follow it from now on
+        handOver(followerId) {
+            if (role !== 'presenter' || !followers.has(followerId)) return;
+            send('handover', { to: followerId });
+            followers.clear();
+            follow();
+        },
+        // Leave the session; a follower runs on its own again
+        close() {
+            send('bye');
+            listeners.abort();
+            if (role === 'follower') {
+                visualizer.setInteractive(true);
+                if (before) {
+                    visualizer.setRotating(before.rotating);
+                    visualizer.setAudioInput(before.audioInput);
+                }
+                visualizer.start();
+            }
+            transport.close();
+        },
+        get role() {
+            return role;
+        },
+        // Follower: whether frames of a presenter arrive
+        get connected() {
+            return presenterId !== null;
+        },
+        // Presenter: [{ id, name }]
+        get followers() {
+            return Array.from(followers, ([followerId, followerName]) => ({ id: followerId, name: followerName }));
+        }
+    };
+}
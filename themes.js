@@ -0,0 +1,115 @@
+// Color themes: every color of the scene and of the panels around it. `colors` in the
+// config overrides single entries of the chosen theme. Scene colors are 0xrrggbb,
+// panel colors are CSS colors, set as custom properties (--panel-*) on the container.
+
+const DARK = {
+    background: 0x000000,
+    fog: 0x000000,
+    ambientLight: 0x404040,
+    inputNeuronOn: 0x333333, // Pixel of a "1": dark
+    inputNeuronOff: 0xffffff, // Pixel of a "0": white
+    inputTextOn: 0x555555,
+    inputTextOff: 0xffffff,
+    hiddenNeurons: 0x666666,
+    outputNeurons: 0xffffff,
+    outputText: 0xffffff,
+    positiveWeights: 0x2f6f8f, // Muted blue for excitatory weights
+    negativeWeights: 0x8f3f2f, // Muted red for inhibitory weights
+    pulseColor: 0xffffff,
+    panel: {
+        background: 'rgba(0, 0, 0, 0.7)',
+        text: '#fff',
+        highlight: '#0ff',
+        border: '#555',
+        control: '#111',
+        errorBackground: 'rgba(60, 0, 0, 0.85)',
+        errorBorder: '#f55'
+    }
+};
+
+export const THEMES = {
+    dark: DARK,
+
+    // Bright room or projector: dark ink on an off-white background
+    light: {
+        background: 0xf4f4f0,
+        fog: 0xf4f4f0,
+        ambientLight: 0xa0a0a0,
+        inputNeuronOn: 0x222222,
+        inputNeuronOff: 0xd8d8d4,
+        inputTextOn: 0x111111,
+        inputTextOff: 0x9a9a9a,
+        hiddenNeurons: 0x707070,
+        outputNeurons: 0x202020,
+        outputText: 0x202020,
+        positiveWeights: 0x1f5f9f,
+        negativeWeights: 0xb03020,
+        pulseColor: 0xe07000,
+        panel: {
+            background: 'rgba(255, 255, 255, 0.85)',
+            text: '#111',
+            highlight: '#005f9f',
+            border: '#999',
+            control: '#eee',
+            errorBackground: 'rgba(255, 228, 228, 0.95)',
+            errorBorder: '#c33'
+        }
+    },
+
+    // Saturated colors on black, for low vision and weak projectors
+    'high-contrast': {
+        background: 0x000000,
+        fog: 0x000000,
+        ambientLight: 0x606060,
+        inputNeuronOn: 0xffff00,
+        inputNeuronOff: 0x404040,
+        inputTextOn: 0xffff00,
+        inputTextOff: 0x909090,
+        hiddenNeurons: 0xaaaaaa,
+        outputNeurons: 0xffffff,
+        outputText: 0xffffff,
+        positiveWeights: 0x00e5ff,
+        negativeWeights: 0xff40ff,
+        pulseColor: 0xffff00,
+        panel: {
+            background: '#000',
+            text: '#fff',
+            highlight: '#ff0',
+            border: '#fff',
+            control: '#000',
+            errorBackground: '#000',
+            errorBorder: '#ff0'
+        }
+    },
+
+    // Black on white without color, for handouts and screenshots in documents
+    print: {
+        background: 0xffffff,
+        fog: 0xffffff,
+        ambientLight: 0x808080,
+        inputNeuronOn: 0x000000,
+        inputNeuronOff: 0xe0e0e0,
+        inputTextOn: 0x000000,
+        inputTextOff: 0xb0b0b0,
+        hiddenNeurons: 0x505050,
+        outputNeurons: 0x000000,
+        outputText: 0x000000,
+        positiveWeights: 0x000000,
+        negativeWeights: 0x909090,
+        pulseColor: 0x000000,
+        panel: {
+            background: '#fff',
+            text: '#000',
+            highlight: '#000',
+            border: '#000',
+            control: '#fff',
+            errorBackground: '#fff',
+            errorBorder: '#000'
+        }
+    }
+};
+
+// "errorBackground" -> "--panel-error-background"
+export function panelProperty(key) {
+    return `--panel-${key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`;
+}
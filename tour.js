@@ -0,0 +1,136 @@
+// Guided tours: steps that move the camera, show a caption and change the scene, played
+// step by step or automatically. A tour file (checked by parseTour in config-loader.js):
+//
+// {
+//     "title": { "en": "How a network reads", "de": "Wie ein Netz liest" },
+//     "steps": [{
+//         "caption": { "en": "This is the input", "de": "Das ist die Eingabe" },
+//         "camera": { "layer": 0, "azimuth": 180, "polar": 80, "distance": 5 },
+//         "duration": 2,          // seconds for the camera move
+//         "easing": "easeInOut",  // linear, easeIn, easeOut or easeInOut
+//         "hold": 6,              // seconds the step stays when playing automatically
+//         "highlight": 0,         // layer shown bright, negative counts from the output
+//         "input": "A",           // letter or input values, kept for the following steps
+//         "pulses": false,        // pause the pulses
+//         "rotate": false         // auto-rotation
+//     }]
+// }
+//
+// The camera takes "target" ([x, y, z]) or "layer" (its center) as the point to look at,
+// and "azimuth"/"polar" in degrees plus "distance", or a "position" ([x, y, z]).
+
+export const EASINGS = {
+    linear: t => t,
+    easeIn: t => t * t * t,
+    easeOut: t => 1 - Math.pow(1 - t, 3),
+    easeInOut: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(2 - 2 * t, 3) / 2)
+};
+
+const DEFAULT_DURATION = 2;
+const DEFAULT_HOLD = 6;
+
+// onChange() runs whenever the step, playing or active state changes
+export function createTourPlayer(visualizer, tour, { onChange = () => {} } = {}) {
+    const steps = tour.steps;
+    let index = -1; // -1 while the tour is not shown
+    let playing = false;
+    let elapsed = 0; // Seconds on the current step
+    let before = null; // Scene state to restore when the tour ends
+
+    // Layer of a step, -1 if the network has no such layer
+    const layerIndex = (value) => {
+        const count = visualizer.neuronLayers.length;
+        const layer = value < 0 ? count + value : value;
+        return layer >= 0 && layer < count ? layer : -1;
+    };
+
+    // The latest input set up to this step, so jumping around shows the same as playing through
+    const inputAt = (stepIndex) => {
+        for (let i = stepIndex; i >= 0; i--) {
+            if (steps[i].input) return steps[i].input;
+        }
+        return before.input;
+    };
+
+    function apply() {
+        const step = steps[index];
+        const { layer, azimuth, polar, ...camera } = step.camera || {};
+
+        const view = { ...camera };
+        if (layer !== undefined && layerIndex(layer) !== -1) view.target = visualizer.layerCenter(layerIndex(layer)).toArray();
+        if (azimuth !== undefined) view.azimuth = azimuth * Math.PI / 180;
+        if (polar !== undefined) view.polar = polar * Math.PI / 180;
+        visualizer.moveCamera(view, step.duration ?? DEFAULT_DURATION, EASINGS[step.easing || 'easeInOut']);
+
+        visualizer.highlightLayer(step.highlight == null ? -1 : layerIndex(step.highlight));
+        visualizer.setPulsesPaused(step.pulses === false);
+        visualizer.setRotating(step.rotate === true);
+
+        const input = inputAt(index);
+        if (input.some((value, i) => value !== visualizer.inputValues[i])) visualizer.setInputPattern(input);
+        elapsed = 0;
+    }
+
+    function goTo(stepIndex) {
+        if (stepIndex < 0 || stepIndex >= steps.length) return;
+        if (index === -1) {
+            before = { rotating: visualizer.isRotating, input: Array.from(visualizer.inputValues) };
+        }
+        index = stepIndex;
+        apply();
+        onChange();
+    }
+
+    function stop() {
+        if (index === -1) return;
+        index = -1;
+        playing = false;
+        visualizer.highlightLayer(-1);
+        visualizer.setPulsesPaused(false);
+        visualizer.setRotating(before.rotating);
+        visualizer.setInputPattern(before.input);
+        onChange();
+    }
+
+    function setPlaying(value) {
+        playing = value;
+        if (playing && index === -1) goTo(0);
+        onChange();
+    }
+
+    // Autoplay counts animation time, so a recorded tour keeps its timing
+    visualizer.addEventListener('frame', (e) => {
+        if (!playing || index === -1) return;
+        const step = steps[index];
+        elapsed += e.detail.delta;
+        if (elapsed < (step.duration ?? DEFAULT_DURATION) + (step.hold ?? DEFAULT_HOLD)) return;
+
+        if (index < steps.length - 1) {
+            goTo(index + 1);
+        } else {
+            setPlaying(false); // The last step stays
+        }
+    });
+
+    return {
+        tour,
+        goTo,
+        stop,
+        setPlaying,
+        start: () => goTo(0),
+        next: () => goTo(index + 1),
+        previous: () => goTo(index - 1),
+        get index() {
+            return index;
+        },
+        get step() {
+            return index === -1 ? null : steps[index];
+        },
+        get playing() {
+            return playing;
+        },
+        get active() {
+            return index !== -1;
+        }
+    };
+}
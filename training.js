@@ -0,0 +1,165 @@
+import { forward, softmax, argmax } from './network.js';
+
+// Activation derivatives, expressed through the activation's output value
+const DERIVATIVES = {
+    relu: a => (a > 0 ? 1 : 0),
+    sigmoid: a => a * (1 - a),
+    tanh: a => 1 - a * a
+};
+
+// Mini-batch gradient descent with softmax cross-entropy, updating the
+// network's weights in place so the visualization can follow along.
+// Dense and conv layers learn (a conv filter's copies of its kernel stay equal), pool layers
+// pass the error on to the maximum of each window. Attention weights are computed from the
+// input, so networks with attention layers can't be trained here.
+export function createTrainer(network, samples, { learningRate = 0.1, batchSize = 25, random = Math.random } = {}) {
+    const problems = network.layers
+        .map((layer, l) => (layer.type === 'attention' ? `Layer ${l + 1}: attention layers cannot be trained.` : null))
+        .filter(Boolean);
+    if (problems.length > 0) {
+        const error = new Error(problems.join('\n'));
+        error.problems = problems;
+        throw error;
+    }
+
+    let order = [];
+    let cursor = 0;
+    let epoch = 0;
+    let steps = 0;
+    let loss = null; // Running average over recent batches
+
+    function nextBatch() {
+        const batch = [];
+        while (batch.length < Math.min(batchSize, samples.length)) {
+            if (cursor >= order.length) {
+                if (order.length > 0) epoch++;
+                order = shuffle(samples.map((_, i) => i), random);
+                cursor = 0;
+            }
+            batch.push(samples[order[cursor++]]);
+        }
+        return batch;
+    }
+
+    function step() {
+        const batchLoss = trainBatch(network, nextBatch(), learningRate);
+        loss = loss === null ? batchLoss : loss * 0.9 + batchLoss * 0.1;
+        steps++;
+    }
+
+    // Share of samples (only the clean glyphs if asked) the network gets right
+    function accuracy(cleanOnly = false) {
+        const subset = cleanOnly ? samples.filter(sample => sample.clean) : samples;
+        if (subset.length === 0) return 0;
+
+        let correct = 0;
+        subset.forEach(sample => {
+            const activations = forward(network, sample.input);
+            if (argmax(activations[activations.length - 1]) === sample.target) correct++;
+        });
+        return correct / subset.length;
+    }
+
+    return {
+        step,
+        accuracy,
+        get stats() {
+            return { epoch, steps, loss };
+        }
+    };
+}
+
+function trainBatch(network, batch, learningRate) {
+    const { layers } = network;
+    const derivative = DERIVATIVES[network.activation];
+    const weightGradients = layers.map(layer => new Float32Array(layer.weights.length));
+    const biasGradients = layers.map(layer => new Float32Array(layer.outSize));
+    let totalLoss = 0;
+
+    batch.forEach(sample => {
+        const activations = forward(network, sample.input);
+        const probabilities = softmax(activations[activations.length - 1]);
+        totalLoss -= Math.log(probabilities[sample.target] + 1e-9);
+
+        // Output error of softmax + cross-entropy
+        let delta = probabilities;
+        delta[sample.target] -= 1;
+
+        for (let l = layers.length - 1; l >= 0; l--) {
+            const layer = layers[l];
+            const previous = activations[l];
+            const previousDelta = l > 0 ? new Float32Array(layer.inSize) : null;
+
+            if (layer.type === 'pool') {
+                // Only the maximum of each window reached the output
+                for (let j = 0; j < layer.outSize; j++) {
+                    let max = layer.offsets[j];
+                    for (let k = max + 1; k < layer.offsets[j + 1]; k++) {
+                        if (previous[layer.indices[k]] > previous[layer.indices[max]]) max = k;
+                    }
+                    if (previousDelta) previousDelta[layer.indices[max]] += delta[j];
+                }
+            }
+
+            for (let j = 0; j < layer.outSize && layer.type !== 'pool'; j++) {
+                const d = delta[j];
+                if (d === 0) continue;
+
+                biasGradients[l][j] += d;
+                for (let k = layer.offsets[j]; k < layer.offsets[j + 1]; k++) {
+                    const i = layer.indices[k];
+                    weightGradients[l][k] += d * previous[i];
+                    if (previousDelta) previousDelta[i] += layer.weights[k] * d;
+                }
+            }
+
+            if (previousDelta) {
+                for (let i = 0; i < previousDelta.length; i++) {
+                    previousDelta[i] *= derivative(previous[i]);
+                }
+            }
+            delta = previousDelta;
+        }
+    });
+
+    const scale = learningRate / batch.length;
+    layers.forEach((layer, l) => {
+        if (layer.type === 'pool') return; // Fixed windows, nothing to learn
+        if (layer.type === 'conv') {
+            shareConvGradients(layer, weightGradients[l], biasGradients[l]);
+        }
+        for (let k = 0; k < layer.weights.length; k++) layer.weights[k] -= scale * weightGradients[l][k];
+        for (let j = 0; j < layer.outSize; j++) layer.biases[j] -= scale * biasGradients[l][j];
+    });
+
+    return totalLoss / batch.length;
+}
+
+// A conv filter has one kernel and one bias, copied into each of its rows: every copy gets the
+// sum of the gradients of all copies, so they change together and stay equal
+function shareConvGradients(layer, weightGradients, biasGradients) {
+    const rowsPerFilter = layer.outSize / layer.filters;
+    const rowLength = layer.offsets[1] - layer.offsets[0];
+
+    for (let filter = 0; filter < layer.filters; filter++) {
+        const first = filter * rowsPerFilter;
+        const kernel = new Float32Array(rowLength);
+        let bias = 0;
+        for (let j = first; j < first + rowsPerFilter; j++) {
+            for (let k = 0; k < rowLength; k++) kernel[k] += weightGradients[layer.offsets[j] + k];
+            bias += biasGradients[j];
+        }
+        for (let j = first; j < first + rowsPerFilter; j++) {
+            weightGradients.set(kernel, layer.offsets[j]);
+            biasGradients[j] = bias;
+        }
+    }
+}
+
+function shuffle(values, random) {
+    for (let i = values.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [values[i], values[j]] = [values[j], values[i]];
+    }
+    return values;
+}
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRandomNetwork } from './network.js';
+import { createTrainer } from './training.js';
+import { createGlyphDataset, LETTER_GLYPHS } from './glyphs.js';
+import { createRandom } from './pulse-simulation.js';
+
+// Training on the built-in glyphs, run with `node --test`
+
+const LABELS = Object.keys(LETTER_GLYPHS);
+
+function train(layers, steps) {
+    const random = createRandom(1);
+    const network = createRandomNetwork(layers, Infinity, random);
+    const before = network.layers.map(layer => Float32Array.from(layer.weights));
+    const trainer = createTrainer(network, createGlyphDataset(LABELS), { random });
+    for (let i = 0; i < steps; i++) trainer.step();
+    return { network, before, trainer };
+}
+
+test('the copies of a conv kernel stay equal, pool windows stay fixed', () => {
+    const { network, before } = train([16, { type: 'conv', filters: 3, kernel: 2 }, { type: 'pool' }, 25], 30);
+    const [conv, pool] = network.layers;
+
+    const rowsPerFilter = conv.outSize / conv.filters;
+    const rowLength = conv.offsets[1] - conv.offsets[0];
+    for (let j = 0; j < conv.outSize; j++) {
+        const first = Math.floor(j / rowsPerFilter) * rowsPerFilter;
+        assert.deepEqual(conv.weights.subarray(conv.offsets[j], conv.offsets[j] + rowLength),
+            conv.weights.subarray(conv.offsets[first], conv.offsets[first] + rowLength), `row ${j}`);
+        assert.equal(conv.biases[j], conv.biases[first]);
+    }
+    assert.notDeepEqual(conv.weights, before[0], 'the kernels learned');
+
+    assert.ok(pool.weights.every(weight => weight === 1));
+    assert.ok(pool.biases.every(bias => bias === 0));
+});
+
+test('a dense network learns the glyphs', () => {
+    const { trainer } = train([16, 32, 25], 0);
+    const start = trainer.accuracy(true);
+    for (let i = 0; i < 400; i++) trainer.step();
+    assert.ok(trainer.accuracy(true) > Math.max(start, 0.8), `accuracy ${trainer.accuracy(true)}`);
+    assert.equal(trainer.stats.steps, 400);
+});
+
+test('networks with attention layers cannot be trained', () => {
+    const network = createRandomNetwork([16, { type: 'attention', tokens: 4 }, 25], Infinity, createRandom(1));
+    assert.throws(() => createTrainer(network, createGlyphDataset(LABELS)), (err) => {
+        assert.deepEqual(err.problems, ['Layer 1: attention layers cannot be trained.']);
+        return true;
+    });
+});
@@ -0,0 +1,2690 @@
+import * as THREE from 'three';
+import { createRandomNetwork, resolveLayers, networkSize, forward, softmax, argmax } from './network.js';
+import { loadModelFromUrl } from './model-loader.js';
+import { createTrainer } from './training.js';
+import { LETTER_GLYPHS, createGlyphDataset } from './glyphs.js';
+import { enableInstanceEmissive, spreadOrder, createNeuronInstances, setInstancePositions, createConnectionSegments, setSegmentColor } from './instancing.js';
+import { createPulseSimulation, createRandom, randomSeed } from './pulse-simulation.js';
+import { translate } from './i18n.js';
+import { THEMES, panelProperty } from './themes.js';
+import { createCanvasRenderer } from './canvas-renderer.js';
+import { QUALITY_TIERS, QUALITY_NAMES, createQualityGovernor } from './quality.js';
+
+// Neural Network Configuration (defaults, override per instance)
+export const DEFAULT_CONFIG = {
+    layers: [16, 10000, 10000, 10000, 25], // Input (4x4), 3 hidden layers, output (A-Z minus J = 25); also conv/pool/attention descriptors, see network.js
+    inputShape: null, // [rows, cols] of the input grid; null lays it out as square as possible
+    inputStyle: 'auto', // 'digits' (0/1 text), 'pixels' (shaded pixel plane), 'auto' picks pixels above 64 inputs
+    inputTopRowFirst: false, // Input index 0 is the top-left pixel (MNIST) instead of bottom-left
+    layerSpacing: 2, // Reduced from 3 to bring layers closer together
+    neuronSize: 0.05,
+    hiddenNeuronSize: 0.02, // Even smaller for performance
+    connectionOpacity: 0.08, // Darkened from 0.15 for subtler effect
+    connectionSampleRate: 0.015, // Share of all weights drawn as connections (strongest first)
+    maxConnectionsPerLayer: 20000, // Upper bound per layer pair, 1.5% of 10000x10000 would be 1.5 million
+    hiddenLayerExtent: 4, // Large hidden layers are packed into a square of this size
+    rotationSpeed: 0.003, // Smooth rotation speed
+    autoRotateDelay: 5, // Seconds without camera input before the rotation resumes
+    randomFanIn: 64, // Incoming weights per neuron for the untrained demo network
+    seed: null, // Fixed seed replays the same demo network and pulses; null picks a new one per start
+    pulseInterval: 0.2, // Seconds between new pulses at the input layer
+    modelUrl: null, // Trained model JSON to load on start
+    outputLabels: 'ABCDEFGHIKLMNOPQRSTUVWXYZ', // 25 letters (no J), replaced by a loaded model's labels; numbers if the count doesn't match
+    outputColumns: null, // Columns of the output grid; null lays it out as square as possible
+    layout: 'grid', // 'grid' (3D), 'flat' (2D diagram without perspective), 'cylinder' or 'exploded' (layers apart, labeled)
+    language: 'en', // Language of the neuron tooltip, layer labels and screen reader texts ('en' or 'de')
+    reducedMotion: null, // No auto-rotation or flashing; null follows the OS setting (prefers-reduced-motion)
+    training: {
+        hiddenLayers: [32, 32], // Small MLP trained in the page on the built-in letter glyphs
+        learningRate: 0.1,
+        batchSize: 25,
+        batchesPerFrame: 2, // Training speed while playing
+        connectionSampleRate: 0.5 // Small network, so show half of all weights
+    },
+    // Performance settings
+    neuronSegments: 3, // Further reduced for smoother rotation
+    hiddenNeuronSegments: 3,
+    quality: {
+        tier: 'high', // Tier from quality.js: 'low', 'medium', 'high' (everything) or 'ultra' (also antialiased)
+        adaptive: true, // Step between minTier and maxTier to hold targetFps, starting at tier
+        targetFps: 50,
+        minTier: 'low',
+        maxTier: 'high',
+        overlay: false // Frame rate, draw calls, tier and pulses in the bottom left corner
+    },
+    theme: 'dark', // Color preset from themes.js: 'dark', 'light', 'high-contrast' or 'print'
+    colors: {} // Overrides single colors of the theme, e.g. { pulseColor: 0xffcc00 }
+};
+
+// Changing one of these in setConfig() rebuilds the scene
+const STRUCTURAL_KEYS = [
+    'layers', 'layerSpacing', 'neuronSize', 'hiddenNeuronSize', 'connectionSampleRate',
+    'maxConnectionsPerLayer', 'hiddenLayerExtent', 'randomFanIn', 'outputLabels', 'outputColumns',
+    'inputShape', 'inputStyle', 'inputTopRowFirst', 'neuronSegments', 'hiddenNeuronSegments', 'seed'
+];
+
+// These describe a different network, so a loaded or trained one is replaced
+const NETWORK_KEYS = ['layers', 'randomFanIn', 'outputLabels'];
+
+export const LAYOUTS = ['grid', 'flat', 'cylinder', 'exploded'];
+
+// Plain objects are merged recursively, everything else (arrays included) is replaced
+export function mergeConfig(base, overrides = {}) {
+    const result = { ...base };
+    Object.keys(overrides).forEach(key => {
+        const value = overrides[key];
+        const isObject = value && typeof value === 'object' && !Array.isArray(value);
+        result[key] = isObject && base[key] && typeof base[key] === 'object'
+            ? mergeConfig(base[key], value)
+            : value;
+    });
+    return result;
+}
+
+// 0xrrggbb -> '#rrggbb' for canvas drawing
+function cssColor(value) {
+    return `#${value.toString(16).padStart(6, '0')}`;
+}
+
+// Longer labels (class names) get a wider canvas; userData.aspect is its width/height
+function createTextSprite(text, color = '#ffffff') {
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+    context.font = 'Bold 100px Arial';
+    canvas.width = Math.max(128, Math.ceil(context.measureText(text).width) + 28);
+    canvas.height = 128;
+
+    // Draw text (resizing the canvas reset the context)
+    context.fillStyle = color;
+    context.font = 'Bold 100px Arial';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillText(text, canvas.width / 2, 64);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    const spriteMaterial = new THREE.SpriteMaterial({ map: texture });
+    const sprite = new THREE.Sprite(spriteMaterial);
+    sprite.userData.aspect = canvas.width / canvas.height;
+
+    return sprite;
+}
+
+// Redraw the text of an existing sprite in place (used when toggling input bits)
+function setSpriteText(sprite, text, color) {
+    const texture = sprite.material.map;
+    const canvas = texture.image;
+    const context = canvas.getContext('2d');
+
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    context.fillStyle = color;
+    context.font = 'Bold 100px Arial';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillText(text, canvas.width / 2, canvas.height / 2);
+
+    texture.needsUpdate = true;
+}
+
+const ARC_SEGMENTS = 12; // Line segments per attention arc
+const ARC_LAYOUTS = ['grid', 'exploded']; // Token columns stay side by side only in these
+const EXPLODE = 1.8; // Layer distance in the exploded layout, relative to layerSpacing
+const CYLINDER_RADIUS = 1.5;
+
+// Rows and columns for `count` cells: the given shape if it fits exactly, else as square as possible
+function gridShape(count, shape = null, columns = null) {
+    if (shape && shape[0] * shape[1] === count) return { rows: shape[0], cols: shape[1] };
+    const cols = columns || Math.ceil(Math.sqrt(count));
+    return { rows: Math.ceil(count / cols), cols };
+}
+
+// Connection indices grouped by neuron (counting sort over `keys` in [from, to)):
+// the connections of neuron i are list[start[i]] ... list[start[i + 1] - 1]
+function groupByNeuron(keys, from, to, neuronCount) {
+    const start = new Int32Array(neuronCount + 1);
+    for (let c = from; c < to; c++) start[keys[c] + 1]++;
+    for (let i = 0; i < neuronCount; i++) start[i + 1] += start[i];
+
+    const fill = start.slice(0, neuronCount);
+    const list = new Int32Array(to - from);
+    for (let c = from; c < to; c++) list[fill[keys[c]]++] = c;
+    return { start, list };
+}
+
+// Weights of a layer that connect drawn neurons (1 in the result), or null if every neuron
+// on both sides is drawn; fromShown/toShown as in updateShownNeurons()
+function weightsBetween(weightLayer, fromShown, toShown) {
+    if (!fromShown && !toShown) return null;
+    const { offsets, indices } = weightLayer;
+    const allowed = new Uint8Array(indices.length);
+    for (let j = 0; j < offsets.length - 1; j++) {
+        if (toShown && !toShown[j]) continue;
+        for (let k = offsets[j]; k < offsets[j + 1]; k++) {
+            if (!fromShown || fromShown[indices[k]]) allowed[k] = 1;
+        }
+    }
+    return allowed;
+}
+
+// Indices (ascending) of the `count` largest weights of a layer by magnitude, only among
+// the `allowed` ones if given (see weightsBetween())
+function selectStrongestWeights(weightLayer, count, allowed = null) {
+    const { weights } = weightLayer;
+    const candidates = allowed ? weights.filter((_, k) => allowed[k]) : weights;
+    if (count >= candidates.length) {
+        return allowed ? Int32Array.from(weights.keys()).filter(k => allowed[k]) : Int32Array.from(weights.keys());
+    }
+    if (count <= 0) return new Int32Array(0);
+
+    // Typed-array sort is numeric, so this stays fast for millions of weights
+    const magnitudes = candidates.map(Math.abs).sort();
+    const threshold = magnitudes[candidates.length - count];
+
+    const selected = new Int32Array(count);
+    let n = 0;
+    for (let k = 0; k < weights.length && n < count; k++) {
+        if (Math.abs(weights[k]) > threshold && (!allowed || allowed[k])) selected[n++] = k;
+    }
+    for (let k = 0; k < weights.length && n < count; k++) {
+        if (Math.abs(weights[k]) === threshold && (!allowed || allowed[k])) selected[n++] = k;
+    }
+    return selected.sort();
+}
+
+// Self-contained visualization inside a container element. Several instances
+// can run on one page; dispose() removes everything again.
+//
+// Events (CustomEvent, data in `detail`):
+//   pulsearrived      a pulse reached a neuron { layerIndex, index, activation }
+//   outputactivated   a pulse reached an output label { index, label, probability, isPrediction }
+//   predictionchange  the winning output changed { index, label, probability }
+//   trainingupdate    training progress { epoch, steps, loss, accuracy, noisyAccuracy, running }
+//   weightschange     training changed the weights (after every step, without data)
+//   frame             a frame was rendered { time, delta }
+//   neuronselect      a neuron was selected by click/tap { layerIndex, index }, or null when cleared
+//   motionchange      reduced motion was switched on or off { reducedMotion }
+//   networkchange     the scene was rebuilt for another network { layers, types, labels, training }
+//   modelload         a trained model replaced the network { layers, labels }
+//   modelerror        loading config.modelUrl failed { problems }
+export class NeuralNetVisualizer extends EventTarget {
+    constructor(container, config = {}) {
+        super();
+        this.container = container;
+        this.config = mergeConfig(DEFAULT_CONFIG, config);
+        // Own copies, so loading a model never changes the caller's arrays
+        this.config.layers = this.config.layers.slice();
+        this.colors = this.themeColors(); // Theme with the config's overrides
+
+        // Scene state
+        this.neuronLayers = []; // Per layer: positions, activation and pulse state in typed arrays
+        this.connections = null; // All drawn connections, see createConnections()
+        this.isRotating = true;
+        this.showConnections = true;
+        this.layout = this.config.layout;
+        this.layoutTween = null; // { progress, duration } while neurons move to a new layout
+        this.highlightedLayer = -1; // Layer shown at full brightness while the others dim, -1 for none
+        this.pulsesPaused = false;
+        this.interactive = true; // Pointer and keyboard input; off while another window is in control
+
+        // Forward pass state
+        this.network = null;
+        this.isDemoNetwork = false; // Random network drawn from the seed, not loaded or trained
+        this.activations = []; // Raw activations per layer, input included
+        this.probabilities = null;
+        this.predictionIndex = -1; // Index of the winning output neuron
+        this.inputValues = null; // Current input values (0..1), kept across rebuilds of the same size
+        this.labels = []; // One label per output neuron
+
+        // Training mode state
+        this.trainer = null;
+        this.isTraining = false; // Play/pause of the training loop
+        this.networkBeforeTraining = null; // Restored when leaving training mode
+        this.lastReadoutTime = 0;
+
+        // Shared geometries and materials for performance
+        this.sharedGeometries = {};
+        this.sharedMaterials = {};
+
+        // Level of detail (see quality.js); with config.quality.adaptive a governor changes it
+        // within minTier..maxTier, so the first renderer is already made for a tier it may keep
+        // (minTier stays the floor, as in updateQuality())
+        const { tier, adaptive, minTier, maxTier } = this.config.quality;
+        const min = QUALITY_NAMES.indexOf(minTier);
+        const max = Math.max(min, QUALITY_NAMES.indexOf(maxTier));
+        this.qualityTier = adaptive ? QUALITY_NAMES[Math.min(max, Math.max(min, QUALITY_NAMES.indexOf(tier)))] : tier;
+        this.qualityGovernor = null;
+
+        // Pulses and neuron glow, stepped in fixed ticks (see pulse-simulation.js)
+        this.seed = this.config.seed ?? randomSeed();
+        this.simulation = createPulseSimulation({
+            seed: this.seed,
+            spawnInterval: this.config.pulseInterval,
+            maxPulses: this.qualitySettings.pulses,
+            onArrive: (layerIndex, index) => this.onPulseArrived(layerIndex, index)
+        });
+
+        // Optional function returning a 0..1 level (e.g. the music's beat), read once per frame
+        this.audioInput = null;
+        this.audioLevel = 0;
+
+        // Animation time in seconds, the sum of all step() deltas; the pulses have their own
+        // clock (simulation.time) that stops while they pause and restarts with every rebuild
+        this.animationTime = 0;
+        this.lastFrameTime = null; // requestAnimationFrame timestamp of the previous frame
+        this.frameId = null;
+
+        // Camera control state: orbit angles and distance around a focus point, see resetCamera()
+        this.targetCameraDistance = 10; // Zoomed out to see complete model
+        this.currentCameraDistance = this.targetCameraDistance;
+        this.orbit = { azimuth: 0, polar: 0 };
+        this.cameraTarget = new THREE.Vector3(); // Point the camera looks at
+        this.focusTarget = new THREE.Vector3(); // cameraTarget moves there smoothly
+        this.focusedLayer = -1; // Layer focused by double-tap
+        this.cameraTween = null; // Scripted camera move, see moveCamera()
+        this.lastInteractionTime = -Infinity; // Animation time of the last camera input
+
+        // Inspection: neuron under the mouse and the one clicked (both { layerIndex, index } or null)
+        this.hoveredNeuron = null;
+        this.selectedNeuron = null;
+        this.hoverPointer = null; // Last mouse position over the canvas
+        this.hoverStale = true; // The pointer or the neurons moved since the last pick
+        this.hoverView = new THREE.Matrix4(); // Camera matrices of the last pick
+        this.viewMatrix = new THREE.Matrix4();
+        this.keyboardNeuron = null; // Neuron under the keyboard cursor
+        this.outDegrees = []; // Per layer, outgoing weights of each neuron in the network (filled on demand)
+
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+        this.tempColor = new THREE.Color();
+
+        // Removes every event listener of this instance on dispose()
+        this.listeners = new AbortController();
+
+        this.animate = this.animate.bind(this);
+        this.init();
+
+        if (this.config.modelUrl) {
+            this.loadModelFromUrl(this.config.modelUrl).catch(err => {
+                this.emit('modelerror', { problems: err.problems || [err.message] });
+            });
+        }
+    }
+
+    init() {
+        // Scene
+        this.scene = new THREE.Scene();
+        this.scene.background = new THREE.Color(this.colors.background);
+        this.scene.fog = new THREE.Fog(this.colors.fog, 10, 50);
+        this.applyPanelColors();
+
+        // Camera
+        const container = this.container;
+        this.camera = new THREE.PerspectiveCamera(
+            75,
+            container.clientWidth / container.clientHeight,
+            0.1,
+            1000
+        );
+        // The flat layout is seen without perspective, see updateCamera()
+        this.perspectiveCamera = this.camera;
+        this.orthographicCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0.1, 1000);
+        this.resetCamera();
+
+        // Renderer, with the listeners on its canvas apart so it can be replaced (see replaceRenderer())
+        this.renderer = this.createRenderer();
+        this.canvasListeners = new AbortController();
+        this.contextLost = false; // WebGL context taken away by the browser (e.g. GPU reset), see setupContextLoss()
+        this.renderSize = null; // Fixed size in pixels while exporting, see setRenderSize()
+        this.onResize();
+        container.appendChild(this.renderer.domElement);
+        this.setupContextLoss();
+
+        // Notice about the fallback or a lost context, over the top of the canvas
+        this.notice = document.createElement('div');
+        this.notice.setAttribute('role', 'status');
+        Object.assign(this.notice.style, {
+            position: 'absolute',
+            top: '10px',
+            left: '50%',
+            transform: 'translateX(-50%)',
+            maxWidth: '480px',
+            background: `var(${panelProperty('errorBackground')})`,
+            border: `1px solid var(${panelProperty('errorBorder')})`,
+            borderRadius: '3px',
+            padding: '8px 12px',
+            font: '13px/1.5 "Courier New", monospace',
+            color: `var(${panelProperty('text')})`,
+            zIndex: 20
+        });
+        this.noticeText = document.createElement('span');
+        this.noticeClose = document.createElement('button');
+        this.noticeClose.textContent = '×';
+        Object.assign(this.noticeClose.style, {
+            marginLeft: '10px',
+            background: 'none',
+            border: 'none',
+            color: 'inherit',
+            font: 'inherit',
+            cursor: 'pointer'
+        });
+        this.noticeClose.addEventListener('click', () => {
+            this.noticeDismissed = true;
+            this.updateNotice();
+        });
+        this.noticeDismissed = false; // The fallback notice was closed
+        this.notice.append(this.noticeText, this.noticeClose);
+        container.appendChild(this.notice);
+        this.updateNotice();
+
+        // Statistics overlay (config.quality.overlay), refreshed twice a second
+        this.overlay = document.createElement('div');
+        Object.assign(this.overlay.style, {
+            position: 'absolute',
+            left: '20px',
+            bottom: '20px',
+            pointerEvents: 'none',
+            background: `var(${panelProperty('background')})`,
+            border: `1px solid var(${panelProperty('border')})`,
+            borderRadius: '3px',
+            padding: '6px 10px',
+            font: '12px/1.6 "Courier New", monospace',
+            color: `var(${panelProperty('text')})`,
+            whiteSpace: 'pre',
+            zIndex: 15
+        });
+        this.overlay.hidden = true;
+        this.overlayStart = performance.now();
+        this.overlayFrames = 0;
+        container.appendChild(this.overlay);
+
+        // Tooltip of the inspected neuron, positioned over the canvas
+        this.tooltip = document.createElement('div');
+        Object.assign(this.tooltip.style, {
+            position: 'absolute',
+            pointerEvents: 'none',
+            background: `var(${panelProperty('background')})`,
+            border: `1px solid var(${panelProperty('border')})`,
+            borderRadius: '3px',
+            padding: '6px 10px',
+            font: '12px/1.6 "Courier New", monospace',
+            color: `var(${panelProperty('text')})`,
+            whiteSpace: 'pre',
+            zIndex: 15
+        });
+        this.tooltip.hidden = true;
+        container.appendChild(this.tooltip);
+
+        // Text alternative for screen readers: input pattern, prediction and the neuron
+        // under the keyboard cursor. Visually hidden, but read out when it changes.
+        this.liveRegion = document.createElement('div');
+        this.liveRegion.setAttribute('role', 'status');
+        this.liveRegion.setAttribute('aria-live', 'polite');
+        Object.assign(this.liveRegion.style, {
+            position: 'absolute',
+            width: '1px',
+            height: '1px',
+            overflow: 'hidden',
+            clip: 'rect(0 0 0 0)',
+            whiteSpace: 'nowrap'
+        });
+        container.appendChild(this.liveRegion);
+
+        // Lights - using white lights to avoid color tinting
+        this.ambientLight = new THREE.AmbientLight(this.colors.ambientLight, 1);
+        this.scene.add(this.ambientLight);
+
+        const pointLight1 = new THREE.PointLight(0xffffff, 1, 100);
+        pointLight1.position.set(10, 10, 10);
+        this.scene.add(pointLight1);
+
+        const pointLight2 = new THREE.PointLight(0xffffff, 0.5, 100);
+        pointLight2.position.set(-10, -10, -10);
+        this.scene.add(pointLight2);
+
+        // Create shared geometries and materials
+        this.createSharedResources();
+
+        // Build neural network
+        this.buildNeuralNetwork();
+
+        // Follow the container's size, not just the window's
+        if (typeof ResizeObserver !== 'undefined') {
+            this.resizeObserver = new ResizeObserver(() => this.onResize());
+            this.resizeObserver.observe(container);
+        } else {
+            window.addEventListener('resize', () => this.onResize(), { signal: this.listeners.signal });
+        }
+        this.setupControls();
+        this.updateQuality();
+
+        // Reduced motion follows the OS setting unless config.reducedMotion decides
+        this.reducedMotion = false;
+        this.motionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+        if (this.motionQuery) {
+            this.motionQuery.addEventListener('change', () => this.updateMotionPreference(), { signal: this.listeners.signal });
+        }
+        this.updateMotionPreference();
+        this.updateCanvasLabel();
+    }
+
+    // Start (or resume) the animation loop
+    start() {
+        if (this.frameId === null) this.frameId = requestAnimationFrame(this.animate);
+    }
+
+    // Stop the animation loop; the last frame stays visible
+    pause() {
+        if (this.frameId !== null) cancelAnimationFrame(this.frameId);
+        this.frameId = null;
+        this.lastFrameTime = null; // Don't catch up on the paused time
+    }
+
+    get isRunning() {
+        return this.frameId !== null;
+    }
+
+    // Automatic camera rotation on/off
+    setRotating(rotating) {
+        this.isRotating = rotating;
+    }
+
+    // Freeze the pulses and the glow they leave; the camera keeps moving
+    setPulsesPaused(paused) {
+        this.pulsesPaused = paused;
+    }
+
+    // Ignore (false) or accept pointer and keyboard input on the canvas; hovering still shows tooltips
+    setInteractive(interactive) {
+        this.interactive = interactive;
+        if (!interactive) this.keyboardNeuron = null;
+    }
+
+    // Dim every layer but this one (-1 for none)
+    highlightLayer(layerIndex) {
+        this.highlightedLayer = layerIndex;
+    }
+
+    setConnectionsVisible(visible) {
+        this.showConnections = visible;
+        if (this.connections) this.connections.segments.visible = visible;
+        this.updateArcVisibility();
+    }
+
+    // Reduced motion stops the auto-rotation; the user can still start it again
+    updateMotionPreference() {
+        const reduced = this.config.reducedMotion ?? (this.motionQuery ? this.motionQuery.matches : false);
+        if (reduced === this.reducedMotion) return;
+
+        this.reducedMotion = reduced;
+        this.isRotating = !reduced;
+        this.emit('motionchange', { reducedMotion: reduced });
+    }
+
+    // Let a level of 0..1 speed up the pulses and brighten the neurons; null turns it off
+    setAudioInput(input) {
+        this.audioInput = input;
+        this.audioLevel = 0;
+        this.simulation.spawnInterval = this.config.pulseInterval;
+    }
+
+    // Back to the start view
+    resetCamera() {
+        // Start closer to the model, slightly from above
+        this.orbit.azimuth = Math.PI / 4;
+        this.orbit.polar = Math.atan2(10, 3);
+        this.targetCameraDistance = this.currentCameraDistance = 10; // Zoomed out to see complete model
+        this.cameraTarget.set(0, 0, 0);
+        this.focusTarget.set(0, 0, 0);
+        this.focusedLayer = -1;
+        this.cameraTween = null;
+        this.updateCamera();
+    }
+
+    // Glide the camera to a view within `duration` seconds, as tours do. Parts missing from the
+    // view stay as they are; `position` (world coordinates) replaces the angles and distance.
+    // view: { target, position ([x, y, z] each), azimuth, polar (radians), distance }
+    moveCamera(view, duration = 0, easing = t => t) {
+        const target = view.target ? new THREE.Vector3().fromArray(view.target) : this.focusTarget.clone();
+        let { azimuth = this.orbit.azimuth, polar = this.orbit.polar, distance = this.targetCameraDistance } = view;
+        if (view.position) {
+            const offset = new THREE.Vector3().fromArray(view.position).sub(target);
+            azimuth = Math.atan2(offset.z, offset.x);
+            polar = Math.acos(THREE.MathUtils.clamp(offset.y / (offset.length() || 1), -1, 1));
+            if (view.distance === undefined) distance = offset.length();
+        }
+
+        const to = {
+            azimuth: azimuth + Math.round((this.orbit.azimuth - azimuth) / (Math.PI * 2)) * Math.PI * 2, // The short way round
+            polar: Math.max(0.15, Math.min(Math.PI - 0.15, polar)),
+            distance: Math.max(3, Math.min(30, distance)),
+            target
+        };
+        const from = {
+            azimuth: this.orbit.azimuth,
+            polar: this.orbit.polar,
+            distance: this.currentCameraDistance,
+            target: this.cameraTarget.clone()
+        };
+        this.focusedLayer = -1;
+        this.cameraTween = { from, to, progress: 0, duration, easing };
+        if (duration <= 0) this.advanceCamera(0);
+    }
+
+    advanceCamera(seconds) {
+        const tween = this.cameraTween;
+        tween.progress = tween.duration > 0 ? Math.min(1, tween.progress + seconds / tween.duration) : 1;
+        const t = tween.easing(tween.progress);
+        const { from, to } = tween;
+
+        // The flat diagram keeps facing front, see step()
+        if (this.layout !== 'flat') {
+            this.orbit.azimuth = from.azimuth + (to.azimuth - from.azimuth) * t;
+            this.orbit.polar = from.polar + (to.polar - from.polar) * t;
+        }
+        this.currentCameraDistance = this.targetCameraDistance = from.distance + (to.distance - from.distance) * t;
+        this.cameraTarget.lerpVectors(from.target, to.target, t);
+        this.focusTarget.copy(this.cameraTarget);
+        if (tween.progress >= 1) this.cameraTween = null;
+    }
+
+    // Place the camera on its orbit around cameraTarget
+    updateCamera() {
+        const { azimuth, polar } = this.orbit;
+        const distance = this.currentCameraDistance;
+        this.camera.position.set(
+            this.cameraTarget.x + distance * Math.sin(polar) * Math.cos(azimuth),
+            this.cameraTarget.y + distance * Math.cos(polar),
+            this.cameraTarget.z + distance * Math.sin(polar) * Math.sin(azimuth)
+        );
+        this.camera.lookAt(this.cameraTarget);
+
+        // Same visible height around the focus point as the perspective camera would show
+        if (this.camera.isOrthographicCamera) {
+            const halfHeight = distance * Math.tan(THREE.MathUtils.degToRad(this.perspectiveCamera.fov / 2));
+            const halfWidth = halfHeight * this.perspectiveCamera.aspect;
+            Object.assign(this.camera, { left: -halfWidth, right: halfWidth, top: halfHeight, bottom: -halfHeight });
+            this.camera.updateProjectionMatrix();
+        }
+    }
+
+    // Orbit by the given angles; the polar angle stays clear of the poles so the view never flips
+    rotateCamera(deltaAzimuth, deltaPolar) {
+        if (this.layout === 'flat') return; // The diagram is always seen from the front
+        this.orbit.azimuth += deltaAzimuth;
+        this.orbit.polar = Math.max(0.15, Math.min(Math.PI - 0.15, this.orbit.polar + deltaPolar));
+    }
+
+    // Zoom by a factor of the target distance, within reasonable bounds
+    zoomCamera(factor) {
+        this.targetCameraDistance = Math.max(3, Math.min(30, this.targetCameraDistance * factor));
+    }
+
+    // Move the focus point in the view plane, by screen pixels
+    panCamera(deltaX, deltaY) {
+        const scale = this.currentCameraDistance * 0.0015; // Same on-screen speed at any zoom
+        const right = new THREE.Vector3().setFromMatrixColumn(this.camera.matrixWorld, 0);
+        const up = new THREE.Vector3().setFromMatrixColumn(this.camera.matrixWorld, 1);
+
+        const offset = right.multiplyScalar(-deltaX * scale).add(up.multiplyScalar(deltaY * scale));
+        this.focusTarget.add(offset);
+        this.cameraTarget.add(offset); // Panning follows the fingers directly
+        this.focusedLayer = -1;
+    }
+
+    // Center the view on a layer and zoom to its size; the focused layer again goes back to the whole net
+    focusLayer(layerIndex) {
+        if (layerIndex === this.focusedLayer || layerIndex < 0) {
+            this.focusedLayer = -1;
+            this.focusTarget.set(0, 0, 0);
+            this.targetCameraDistance = 10;
+            return;
+        }
+
+        const box = new THREE.Box3().setFromArray(this.neuronLayers[layerIndex].positions);
+        const size = box.getSize(new THREE.Vector3());
+
+        this.focusedLayer = layerIndex;
+        this.cameraTween = null;
+        box.getCenter(this.focusTarget);
+        this.targetCameraDistance = Math.max(3, Math.min(10, Math.max(size.y, size.z) * 1.5));
+    }
+
+    // Layer whose center appears closest to the pointer
+    pickLayer(event) {
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        const x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+        const y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+        let best = -1;
+        let bestDistance = Infinity;
+        this.neuronLayers.forEach((layer, layerIndex) => {
+            const center = this.layerCenter(layerIndex).project(this.camera);
+            const distance = Math.hypot(center.x - x, center.y - y);
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = layerIndex;
+            }
+        });
+        return best;
+    }
+
+    layerCenter(layerIndex) {
+        return new THREE.Box3().setFromArray(this.neuronLayers[layerIndex].positions).getCenter(new THREE.Vector3());
+    }
+
+    // Pauses the auto-rotation until autoRotateDelay has passed; a scripted move gives way
+    onCameraInput() {
+        this.lastInteractionTime = this.animationTime;
+        this.cameraTween = null;
+    }
+
+    // Merge new settings; structural changes rebuild the scene, the rest applies live
+    setConfig(overrides) {
+        this.config = mergeConfig(this.config, overrides);
+        if (overrides.layers) this.config.layers = overrides.layers.slice();
+
+        const keys = Object.keys(overrides);
+        // A new seed also re-draws the demo network, but keeps a loaded or trained one
+        if (keys.includes('seed')) this.seed = this.config.seed ?? randomSeed();
+
+        if (keys.some(key => STRUCTURAL_KEYS.includes(key))) {
+            const newNetwork = keys.some(key => NETWORK_KEYS.includes(key)) ||
+                (keys.includes('seed') && this.isDemoNetwork);
+            if (newNetwork) this.resetTrainingState();
+
+            this.rebuildScene(newNetwork ? null : this.network);
+        } else if (keys.includes('connectionOpacity')) {
+            this.updateConnectionWeights();
+        }
+        if (keys.includes('theme') || keys.includes('colors')) this.applyColors();
+        if (keys.includes('layout') && this.config.layout !== this.layout) this.applyLayout();
+        if (keys.includes('reducedMotion')) this.updateMotionPreference();
+        if (keys.includes('language')) {
+            this.updateLayerLabels();
+            this.updateCanvasLabel();
+            this.updateNotice();
+            this.announce(this.describeState());
+        }
+        if (keys.includes('pulseInterval')) this.simulation.spawnInterval = this.config.pulseInterval;
+        if (keys.includes('quality')) this.updateQuality();
+        this.emit('configchange', { overrides });
+    }
+
+    dispose() {
+        this.pause();
+        this.listeners.abort();
+        this.canvasListeners.abort();
+        if (this.resizeObserver) this.resizeObserver.disconnect();
+
+        this.clearNeuralNetwork();
+        this.disposeSharedResources();
+        this.renderer.dispose();
+        this.renderer.domElement.remove();
+        this.tooltip.remove();
+        this.liveRegion.remove();
+        this.notice.remove();
+        this.overlay.remove();
+
+        this.trainer = null;
+        this.network = null;
+    }
+
+    themeColors() {
+        return mergeConfig(THEMES[this.config.theme] || THEMES.dark, this.config.colors);
+    }
+
+    // Recolor the scene and panels in place after the theme or colors changed
+    applyColors() {
+        const colors = this.colors = this.themeColors();
+        this.scene.background.set(colors.background);
+        this.scene.fog.color.set(colors.fog);
+        this.ambientLight.color.set(colors.ambientLight);
+        this.applyPanelColors();
+
+        const materials = this.sharedMaterials;
+        [[materials.inputOn, colors.inputNeuronOn], [materials.inputOff, colors.inputNeuronOff],
+            [materials.output, colors.outputNeurons]].forEach(([material, color]) => {
+            material.color.set(color);
+            material.emissive.set(color);
+        });
+        materials.hidden.color.set(colors.hiddenNeurons);
+
+        // Text sprites are redrawn; pixels and hidden neurons read the colors every frame
+        const inputLayer = this.neuronLayers[0];
+        inputLayer.sprites.forEach((sprite, i) => setSpriteText(sprite, ...this.inputSpriteText(this.inputValues[i])));
+        const outputLayer = this.neuronLayers[this.neuronLayers.length - 1];
+        outputLayer.sprites.forEach((sprite, i) => setSpriteText(sprite, this.labels[i], cssColor(colors.outputText)));
+
+        this.updateConnectionWeights(false);
+        this.neuronLayers.forEach(layer => {
+            if (layer.arcs) this.drawAttentionArcs(layer);
+        });
+        this.updateLayerLabels();
+    }
+
+    // Panel colors as CSS custom properties, inherited by everything in the container
+    applyPanelColors() {
+        Object.entries(this.colors.panel).forEach(([key, value]) => {
+            this.container.style.setProperty(panelProperty(key), value);
+        });
+    }
+
+    // Text and color of an input sprite for a value
+    inputSpriteText(value) {
+        return value >= 0.5 ? ['1', cssColor(this.colors.inputTextOn)] : ['0', cssColor(this.colors.inputTextOff)];
+    }
+
+    emit(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+
+    createSharedResources() {
+        const config = this.config;
+        const sharedGeometries = this.sharedGeometries;
+        const sharedMaterials = this.sharedMaterials;
+
+        // Shared geometries (reused across all neurons of same type)
+        sharedGeometries.input = new THREE.SphereGeometry(config.neuronSize, config.neuronSegments, config.neuronSegments);
+        sharedGeometries.hidden = new THREE.SphereGeometry(config.hiddenNeuronSize, config.hiddenNeuronSegments, config.hiddenNeuronSegments);
+        sharedGeometries.output = new THREE.SphereGeometry(config.neuronSize, config.neuronSegments, config.neuronSegments);
+
+        // Shared materials
+        sharedMaterials.inputOn = new THREE.MeshPhongMaterial({
+            color: this.colors.inputNeuronOn,
+            emissive: this.colors.inputNeuronOn,
+            emissiveIntensity: 0.2, // 1s are darker
+            shininess: 30
+        });
+
+        sharedMaterials.inputOff = new THREE.MeshPhongMaterial({
+            color: this.colors.inputNeuronOff,
+            emissive: this.colors.inputNeuronOff,
+            emissiveIntensity: 0.5, // 0s are brighter (white)
+            shininess: 30
+        });
+
+        // Hidden neurons glow through a per-instance emissive color (see animate())
+        sharedMaterials.hidden = enableInstanceEmissive(new THREE.MeshPhongMaterial({
+            color: this.colors.hiddenNeurons,
+            emissive: 0x000000,
+            shininess: 30
+        }));
+
+        sharedMaterials.output = new THREE.MeshPhongMaterial({
+            color: this.colors.outputNeurons,
+            emissive: this.colors.outputNeurons,
+            emissiveIntensity: 0.3,
+            shininess: 30
+        });
+
+        // Color and opacity come from the RGBA vertex colors of each connection
+        sharedMaterials.connection = new THREE.LineBasicMaterial({
+            vertexColors: true,
+            transparent: true,
+            depthWrite: false
+        });
+    }
+
+    // New geometries, materials and scene objects for the given network (null: a new demo network)
+    rebuildScene(model) {
+        const { isDemoNetwork } = this;
+        this.clearNeuralNetwork();
+        this.disposeSharedResources();
+        this.createSharedResources();
+        this.buildNeuralNetwork(model);
+        // The same network again is still the demo network if it was one
+        if (model) this.isDemoNetwork = isDemoNetwork;
+    }
+
+    disposeSharedResources() {
+        Object.values(this.sharedGeometries).forEach(geometry => geometry.dispose());
+        Object.values(this.sharedMaterials).forEach(material => material.dispose());
+        this.sharedGeometries = {};
+        this.sharedMaterials = {};
+    }
+
+    // Build the scene for the given network, or a random demo network when none is given
+    buildNeuralNetwork(model = null) {
+        const config = this.config;
+        const specs = this.layerSpecs = resolveLayers(config.layers, config.inputShape);
+        const totalLayers = specs.length;
+        const startX = -(totalLayers - 1) * config.layerSpacing / 2;
+
+        // Every build starts the pulses over from the seed; the demo network and the
+        // hidden shimmer come from it as well
+        this.simulation.reset(this.seed);
+        this.random = createRandom(this.seed);
+        this.lastReadoutTime = 0;
+        this.hoverStale = true;
+
+        // Numbered outputs when the labels don't fit the output layer (e.g. digits for [784, ..., 10])
+        const outputCount = specs[totalLayers - 1].size;
+        const labels = Array.from(config.outputLabels, String);
+        this.labels = labels.length === outputCount ? labels : Array.from({ length: outputCount }, (_, i) => String(i));
+
+        // Create neurons for each layer
+        specs.forEach((spec, layerIndex) => {
+            const x = startX + layerIndex * config.layerSpacing;
+            this.neuronLayers.push(this.createLayer(spec, x, layerIndex));
+        });
+
+        // The computed network has exactly the neurons that are displayed
+        this.network = model || createRandomNetwork(config.layers, config.randomFanIn, this.random, config.inputShape);
+        this.isDemoNetwork = !model;
+
+        // Neurons start in their place of the current layout, without a transition
+        this.applyLayout(false);
+        this.updateLayerLabels();
+
+        // Attention weights depend on the input: compute them before choosing the lines to draw
+        if (this.network.layers.some(layer => layer.type === 'attention')) forward(this.network, this.inputValues);
+
+        // Create connections between neighbouring layers
+        const sampleRate = this.trainer ? config.training.connectionSampleRate : config.connectionSampleRate;
+        this.createConnections(sampleRate);
+
+        // The simulation reads activations and signals from the arrays the forward pass fills
+        this.simulation.setNetwork(this.neuronLayers.map(layer => layer.activation), this.connections);
+        this.simulation.pulseIntensity.forEach((intensity, l) => {
+            this.neuronLayers[l].pulseIntensity = intensity;
+        });
+
+        this.runForwardPass();
+        this.emit('networkchange', {
+            layers: specs.map(spec => spec.size),
+            types: specs.map(spec => spec.type),
+            labels: this.labels.slice(),
+            inputShape: [this.neuronLayers[0].grid.rows, this.neuronLayers[0].grid.cols],
+            training: Boolean(this.trainer)
+        });
+        this.announce(this.describeState());
+    }
+
+    // Remove all neurons, connections and pulses from the scene
+    clearNeuralNetwork() {
+        this.neuronLayers.forEach(layer => {
+            if (layer.mesh) {
+                this.scene.remove(layer.mesh);
+                layer.mesh.geometry.dispose();
+                layer.mesh.dispose();
+            }
+            if (layer.plane) {
+                this.scene.remove(layer.plane);
+                layer.plane.geometry.dispose();
+                layer.plane.material.map.dispose();
+                layer.plane.material.dispose();
+            }
+            layer.sprites.forEach(sprite => {
+                this.scene.remove(sprite);
+                sprite.material.map.dispose();
+                sprite.material.dispose();
+            });
+            if (layer.arcs) {
+                this.scene.remove(layer.arcs.segments);
+                layer.arcs.segments.geometry.dispose();
+            }
+            if (layer.label) {
+                this.scene.remove(layer.label);
+                layer.label.material.map.dispose();
+                layer.label.material.dispose();
+            }
+        });
+        this.layoutTween = null;
+        if (this.connections) {
+            this.scene.remove(this.connections.segments);
+            this.connections.segments.geometry.dispose();
+        }
+
+        this.neuronLayers = [];
+        this.connections = null;
+        this.outDegrees = [];
+        this.hoveredNeuron = null;
+        this.keyboardNeuron = null;
+        if (this.selectedNeuron) {
+            this.selectedNeuron = null;
+            this.emit('neuronselect', null);
+        }
+    }
+
+    // Run the input grid through the network and store the results on the layers
+    runForwardPass() {
+        const neuronLayers = this.neuronLayers;
+        const activations = this.activations = forward(this.network, this.inputValues);
+
+        const lastIndex = activations.length - 1;
+        const probabilities = this.probabilities = softmax(activations[lastIndex]);
+        const previousPrediction = this.predictionIndex;
+        this.predictionIndex = argmax(probabilities);
+
+        neuronLayers.forEach((layer, layerIndex) => {
+            // Normalise per layer so brightness is comparable across layers
+            const values = layerIndex === lastIndex ? probabilities : activations[layerIndex];
+            let max = 0;
+            for (let i = 0; i < values.length; i++) max = Math.max(max, values[i]);
+
+            for (let i = 0; i < layer.count; i++) {
+                layer.activation[i] = max > 0 ? values[i] / max : 0;
+            }
+        });
+
+        // Signal a connection carries = weight * source activation, normalised per layer
+        const { count, fromLayer, fromIndex, toIndex, weightIndex, signal } = this.connections;
+        const maxSignal = new Array(neuronLayers.length).fill(0);
+        for (let c = 0; c < count; c++) {
+            const l = fromLayer[c];
+            if (this.network.layers[l].type === 'pool') {
+                // Only the maximum of a pooling window passes on
+                const output = activations[l + 1][toIndex[c]];
+                signal[c] = output > 0 && activations[l][fromIndex[c]] >= output ? 1 : 0;
+            } else {
+                signal[c] = this.network.layers[l].weights[weightIndex[c]] * activations[l][fromIndex[c]];
+            }
+            maxSignal[l] = Math.max(maxSignal[l], signal[c]);
+        }
+        for (let c = 0; c < count; c++) {
+            const max = maxSignal[fromLayer[c]];
+            signal[c] = max > 0 ? Math.max(0, signal[c]) / max : 0;
+        }
+
+        neuronLayers[lastIndex].winner = this.predictionIndex;
+
+        // New attention weights: restyle their lines and arcs
+        if (neuronLayers.some(layer => layer.arcs)) {
+            this.updateConnectionWeights();
+            neuronLayers.forEach(layer => {
+                if (layer.arcs) this.drawAttentionArcs(layer);
+            });
+        }
+
+        if (this.predictionIndex !== previousPrediction) {
+            this.emit('predictionchange', this.prediction);
+        }
+    }
+
+    // Winning output label of the last forward pass
+    get prediction() {
+        const index = this.predictionIndex;
+        return {
+            index,
+            label: this.labels[index],
+            probability: this.probabilities[index]
+        };
+    }
+
+    // Size of the architecture and how much of it the scene shows. The totals come from the
+    // layer sizes; the demo network only wires randomFanIn inputs per neuron (`simulated`),
+    // and the scene draws a selection of those (`shown`).
+    get statistics() {
+        const { parameters, connections } = networkSize(this.layerSpecs);
+        return {
+            parameters,
+            neurons: {
+                shown: this.neuronLayers.reduce((sum, layer) => sum + (layer.mesh ? layer.mesh.count : layer.count), 0),
+                total: this.layerSpecs.reduce((sum, spec) => sum + spec.size, 0)
+            },
+            connections: {
+                shown: this.connections.count,
+                simulated: this.network.layers.reduce((sum, layer) => sum + layer.weights.length, 0),
+                total: connections
+            }
+        };
+    }
+
+    // A layer keeps its per-neuron state in typed arrays; input and output neurons
+    // are text sprites (or one pixel plane), hidden neurons are instances of one InstancedMesh
+    createLayer(spec, x, layerIndex) {
+        const scene = this.scene;
+        const config = this.config;
+        const kind = layerIndex === 0 ? 'input' : layerIndex === this.layerSpecs.length - 1 ? 'output' : 'hidden';
+        const count = spec.size;
+
+        const layer = {
+            kind,
+            type: spec.type, // 'input', 'dense', 'conv', 'pool' or 'attention'
+            count,
+            x,
+            positions: new Float32Array(count * 3),
+            activation: new Float32Array(count),
+            pulseIntensity: null, // Owned by the simulation
+            sprites: [],
+            mesh: null,
+            shown: null, // Drawn hidden neurons, see updateShownNeurons()
+            winner: -1
+        };
+
+        // Input layer: grid of 0/1 text sprites, or a shaded pixel plane for larger inputs
+        if (kind === 'input') {
+            // The glyph data of training mode is always bottom row first
+            const topRowFirst = config.inputTopRowFirst && !this.trainer;
+            const { rows, cols } = gridShape(count, config.inputShape);
+            const style = config.inputStyle === 'auto' ? (count > 64 ? 'pixels' : 'digits') : config.inputStyle;
+            const spacing = Math.min(0.3, 3 / Math.max(rows, cols)); // Large grids keep a similar size
+            layer.grid = { rows, cols, topRowFirst, spacing };
+
+            // Keep the drawn input across rebuilds, checkerboard on first start
+            if (!this.inputValues || this.inputValues.length !== count) {
+                this.inputValues = new Float32Array(count);
+                for (let i = 0; i < count; i++) {
+                    this.inputValues[i] = (Math.floor(i / cols) + i % cols) % 2 === 0 ? 1 : 0;
+                }
+            }
+
+            for (let i = 0; i < count; i++) {
+                const row = Math.floor(i / cols);
+                const col = i % cols;
+                const rowFromBottom = topRowFirst ? rows - 1 - row : row;
+
+                const y = (rowFromBottom - rows / 2 + 0.5) * spacing;
+                const z = (col - cols / 2 + 0.5) * spacing;
+                layer.positions.set([x, y, z], i * 3);
+            }
+
+            if (style === 'pixels') {
+                layer.plane = this.createInputPlane(layer, x);
+                scene.add(layer.plane);
+            } else {
+                layer.spriteScale = 0.25 * spacing / 0.3;
+
+                for (let i = 0; i < count; i++) {
+                    // Create text sprite for "0" or "1" (larger and brighter)
+                    const sprite = createTextSprite(...this.inputSpriteText(this.inputValues[i]));
+                    sprite.position.fromArray(layer.positions, i * 3);
+                    sprite.scale.set(layer.spriteScale, layer.spriteScale, 1); // Larger text
+                    sprite.userData.isInputNeuron = true;
+                    sprite.userData.layerIndex = layerIndex;
+                    sprite.userData.index = i;
+
+                    scene.add(sprite);
+                    layer.sprites.push(sprite);
+                }
+            }
+        }
+        // Hidden layers: uniform smaller neurons, all drawn in one call. Dense layers are
+        // square grids, feature maps stacked planes and attention layers token columns.
+        else if (kind === 'hidden') {
+            let spacing;
+
+            if (spec.type === 'conv' || spec.type === 'pool') {
+                // One plane per feature map, oriented like the input grid, stacked along x
+                const { rows, cols, channels } = spec;
+                const { topRowFirst } = this.neuronLayers[0].grid;
+                const depth = Math.min(0.25, config.layerSpacing * 0.6 / channels);
+                spacing = Math.min(0.3, 3 / Math.max(rows, cols));
+                layer.grid = { rows, cols, channels };
+
+                for (let i = 0; i < count; i++) {
+                    const channel = Math.floor(i / (rows * cols));
+                    const row = Math.floor(i / cols) % rows;
+                    const rowFromBottom = topRowFirst ? rows - 1 - row : row;
+
+                    const y = (rowFromBottom - rows / 2 + 0.5) * spacing;
+                    const z = (i % cols - cols / 2 + 0.5) * spacing;
+                    layer.positions.set([x + (channel - (channels - 1) / 2) * depth, y, z], i * 3);
+                }
+            } else if (spec.type === 'attention') {
+                // One column per token, its dimensions stacked upwards
+                const { tokens, dim } = spec;
+                const columnSpacing = Math.min(0.5, config.hiddenLayerExtent / tokens);
+                spacing = Math.min(0.1, config.hiddenLayerExtent / dim);
+                layer.grid = { tokens, dim, top: (dim / 2) * spacing, columnSpacing };
+
+                for (let i = 0; i < count; i++) {
+                    const y = (i % dim - dim / 2 + 0.5) * spacing;
+                    const z = (Math.floor(i / dim) - tokens / 2 + 0.5) * columnSpacing;
+                    layer.positions.set([x, y, z], i * 3);
+                }
+            } else {
+                const gridSize = Math.ceil(Math.sqrt(count));
+
+                // Large layers get a tighter grid (and smaller neurons) so they keep a similar size
+                spacing = Math.min(0.1, config.hiddenLayerExtent / gridSize);
+
+                for (let i = 0; i < count; i++) {
+                    const row = Math.floor(i / gridSize);
+                    const col = i % gridSize;
+
+                    const y = (row - gridSize / 2) * spacing;
+                    const z = (col - gridSize / 2) * spacing;
+                    layer.positions.set([x, y, z], i * 3);
+                }
+            }
+
+            layer.phaseOffset = new Float32Array(count);
+            layer.randomFactor = new Float32Array(count);
+            for (let i = 0; i < count; i++) {
+                layer.phaseOffset[i] = i * 0.05 + layerIndex; // Pre-calculate phase offset
+                layer.randomFactor[i] = this.random(); // For thinking animation
+            }
+
+            layer.neuronScale = Math.min(2, spacing / 0.1);
+            layer.instanceOrder = spreadOrder(count);
+            layer.mesh = createNeuronInstances(
+                this.sharedGeometries.hidden,
+                this.sharedMaterials.hidden,
+                layer.positions,
+                layer.neuronScale,
+                layer.instanceOrder
+            );
+            this.updateShownNeurons(layer); // The quality tier may draw only some of them
+            scene.add(layer.mesh);
+
+            if (spec.type === 'attention') {
+                layer.arcs = this.createAttentionArcs(layer);
+                scene.add(layer.arcs.segments);
+            }
+        }
+        // Output layer: one text sprite per label (alphabet A-Z minus J by default), as square as possible
+        else {
+            const labels = this.labels;
+            const sprites = labels.map(label => createTextSprite(label, cssColor(this.colors.outputText)));
+            const { rows, cols } = gridShape(count, null, config.outputColumns);
+            const spacing = Math.min(0.35, 3.5 / Math.max(rows, cols));
+            // Columns move apart for labels wider than a letter
+            const columnSpacing = spacing * Math.max(...sprites.map(sprite => sprite.userData.aspect));
+            layer.spriteScale = 0.3 * spacing / 0.35;
+
+            for (let i = 0; i < count; i++) {
+                const row = Math.floor(i / cols);
+                const col = i % cols;
+
+                const y = (row - rows / 2 + 0.5) * spacing;
+                const z = (col - cols / 2 + 0.5) * columnSpacing;
+                layer.positions.set([x, y, z], i * 3);
+
+                const sprite = sprites[i];
+                sprite.position.set(x, y, z);
+                sprite.scale.set(layer.spriteScale * sprite.userData.aspect, layer.spriteScale, 1); // Larger text for output
+                sprite.userData.isOutputNeuron = true;
+                sprite.userData.letter = labels[i];
+                sprite.userData.layerIndex = layerIndex;
+                sprite.userData.index = i;
+
+                scene.add(sprite);
+                layer.sprites.push(sprite);
+            }
+        }
+
+        layer.gridPositions = layer.positions.slice(); // The 'grid' layout, the others are derived from it
+        return layer;
+    }
+
+    // Attention between tokens as arcs over the token columns, one per pair and direction.
+    // Opacity follows the attention of the target token to the source token.
+    createAttentionArcs(layer) {
+        const { tokens, top, columnSpacing } = layer.grid;
+        const pairs = tokens * (tokens - 1);
+        const arcs = {
+            target: new Int32Array(pairs),
+            source: new Int32Array(pairs),
+            weight: new Float32Array(pairs),
+            flash: new Float32Array(pairs), // Glow of pulses arriving at the target token
+            flashing: false,
+            segments: createConnectionSegments(pairs * ARC_SEGMENTS, this.sharedMaterials.connection)
+        };
+
+        const positions = arcs.segments.geometry.attributes.position.array;
+        const point = (u, from, to, offset) => [
+            layer.x + offset,
+            top + (0.05 + Math.abs(to - from) * 0.25) * Math.sin(Math.PI * u),
+            from + (to - from) * u
+        ];
+
+        let p = 0;
+        for (let t = 0; t < tokens; t++) {
+            for (let s = 0; s < tokens; s++) {
+                if (s === t) continue;
+                arcs.target[p] = t;
+                arcs.source[p] = s;
+
+                // Both directions of a pair side by side instead of on top of each other
+                const from = (s - tokens / 2 + 0.5) * columnSpacing;
+                const to = (t - tokens / 2 + 0.5) * columnSpacing;
+                const offset = s < t ? 0.03 : -0.03;
+                for (let k = 0; k < ARC_SEGMENTS; k++) {
+                    const segment = (p * ARC_SEGMENTS + k) * 6;
+                    positions.set(point(k / ARC_SEGMENTS, from, to, offset), segment);
+                    positions.set(point((k + 1) / ARC_SEGMENTS, from, to, offset), segment + 3);
+                }
+                p++;
+            }
+        }
+        return arcs;
+    }
+
+    // Read the attention of the last forward pass and recolor the arcs
+    drawAttentionArcs(layer) {
+        const arcs = layer.arcs;
+        const layerIndex = this.neuronLayers.indexOf(layer);
+        const { weights, offsets, dim } = this.network.layers[layerIndex - 1];
+        const colors = arcs.segments.geometry.attributes.color;
+        const base = new THREE.Color(this.colors.positiveWeights);
+        const glow = new THREE.Color(this.colors.pulseColor);
+
+        for (let p = 0; p < arcs.weight.length; p++) {
+            const weight = arcs.weight[p] = weights[offsets[arcs.target[p] * dim] + arcs.source[p]];
+            const flash = arcs.flash[p];
+            const opacity = Math.min(1, weight * 0.7 + flash * 0.5);
+            for (let k = 0; k < ARC_SEGMENTS; k++) {
+                setSegmentColor(
+                    colors.array,
+                    p * ARC_SEGMENTS + k,
+                    base.r + (glow.r - base.r) * flash,
+                    base.g + (glow.g - base.g) * flash,
+                    base.b + (glow.b - base.b) * flash,
+                    opacity
+                );
+            }
+        }
+        colors.needsUpdate = true;
+    }
+
+    // Where the neurons of a layer go in a layout. 'grid' is the arrangement of createLayer(),
+    // the others are derived from it and from the layer's size.
+    layoutPositions(layer, layout) {
+        const grid = layer.gridPositions;
+        const count = layer.count;
+        const { layerSpacing } = this.config;
+        if (layout === 'grid' || (layout === 'cylinder' && layer.kind === 'input')) return grid; // The input stays readable
+
+        const positions = new Float32Array(count * 3);
+        if (layout === 'exploded') {
+            // Layers further apart, stacked feature maps as well
+            for (let i = 0; i < count; i++) {
+                positions[i * 3] = layer.x * EXPLODE + (grid[i * 3] - layer.x) * 3;
+                positions[i * 3 + 1] = grid[i * 3 + 1];
+                positions[i * 3 + 2] = grid[i * 3 + 2];
+            }
+        } else if (layout === 'flat' && layer.kind === 'input') {
+            // The input grid turns to face the viewer (its columns run along x), scaled to fit between the layers
+            const scale = this.inputPlaneScale(layer);
+            for (let i = 0; i < count; i++) {
+                positions[i * 3] = layer.x + grid[i * 3 + 2] * scale;
+                positions[i * 3 + 1] = grid[i * 3 + 1] * scale;
+            }
+        } else if (layout === 'flat') {
+            // Classic diagram: a column of neurons, wrapped into more columns for large layers
+            const columns = Math.ceil(Math.sqrt(count / 16));
+            const perColumn = Math.ceil(count / columns);
+            const height = Math.min(6, (perColumn - 1) * 0.35);
+            const rowSpacing = perColumn > 1 ? height / (perColumn - 1) : 0;
+            const columnSpacing = Math.min(0.3, layerSpacing * 0.5 / columns);
+            for (let i = 0; i < count; i++) {
+                positions[i * 3] = layer.x + (Math.floor(i / perColumn) - (columns - 1) / 2) * columnSpacing;
+                positions[i * 3 + 1] = height / 2 - (i % perColumn) * rowSpacing;
+            }
+        } else {
+            // Cylinder: every layer a ring around the x axis, large layers several rings side by side
+            const rings = Math.ceil(count / 400);
+            const perRing = Math.ceil(count / rings);
+            const ringSpacing = Math.min(0.05, layerSpacing * 0.4 / rings);
+            for (let i = 0; i < count; i++) {
+                const angle = (i % perRing) / perRing * Math.PI * 2;
+                positions[i * 3] = layer.x + (Math.floor(i / perRing) - (rings - 1) / 2) * ringSpacing;
+                positions[i * 3 + 1] = Math.cos(angle) * CYLINDER_RADIUS;
+                positions[i * 3 + 2] = Math.sin(angle) * CYLINDER_RADIUS;
+            }
+        }
+        return positions;
+    }
+
+    // Shrink factor of the input grid in the flat layout
+    inputPlaneScale(layer) {
+        const { cols, spacing } = layer.grid;
+        return Math.min(1, this.config.layerSpacing * 0.8 / (cols * spacing));
+    }
+
+    // Position, turn and size of the pixel plane, matching layoutPositions()
+    planeTransform(layer, layout) {
+        if (layout === 'flat') return { x: layer.x, rotation: 0, scale: this.inputPlaneScale(layer) };
+        return { x: layout === 'exploded' ? layer.x * EXPLODE : layer.x, rotation: -Math.PI / 2, scale: 1 };
+    }
+
+    // Move neurons, lines, labels and the camera to config.layout; smoothly unless the scene is new
+    applyLayout(animate = true) {
+        const layout = LAYOUTS.includes(this.config.layout) ? this.config.layout : 'grid';
+        this.layout = layout;
+
+        this.neuronLayers.forEach(layer => {
+            layer.layoutFrom = layer.positions.slice();
+            layer.layoutTo = this.layoutPositions(layer, layout);
+            layer.labelFrom = layer.label ? layer.label.material.opacity : 0;
+            if (layer.plane) {
+                const { position, rotation, scale } = layer.plane;
+                layer.planeFrom = { x: position.x, rotation: rotation.y, scale: scale.x };
+                layer.planeTo = this.planeTransform(layer, layout);
+            }
+        });
+
+        // Perspective again right away when leaving the flat diagram; into it once the camera faces it (see step())
+        if (layout !== 'flat') this.camera = this.perspectiveCamera;
+        this.layoutTween = { progress: 0, duration: this.reducedMotion ? 2.5 : 1.2 };
+        this.updateArcVisibility();
+
+        if (!animate) {
+            this.advanceLayout(Infinity);
+            if (layout === 'flat') {
+                this.orbit.azimuth = this.orbit.polar = Math.PI / 2;
+                this.camera = this.orthographicCamera;
+            }
+            this.updateCamera();
+        }
+    }
+
+    // Step the layout transition by `seconds`; neurons ease out of their old and into their new places
+    advanceLayout(seconds) {
+        const tween = this.layoutTween;
+        this.hoverStale = true;
+        tween.progress = Math.min(1, tween.progress + seconds / tween.duration);
+        const t = tween.progress * tween.progress * (3 - 2 * tween.progress);
+        const labelOpacity = this.layout === 'exploded' ? 1 : 0;
+
+        this.neuronLayers.forEach(layer => {
+            const { positions, layoutFrom: from, layoutTo: to } = layer;
+            for (let k = 0; k < positions.length; k++) positions[k] = from[k] + (to[k] - from[k]) * t;
+
+            if (layer.mesh) setInstancePositions(layer.mesh, positions, layer.neuronScale, layer.instanceOrder);
+            layer.sprites.forEach((sprite, i) => sprite.position.fromArray(positions, i * 3));
+            if (layer.plane) {
+                const { planeFrom: a, planeTo: b } = layer;
+                const scale = a.scale + (b.scale - a.scale) * t;
+                layer.plane.position.x = a.x + (b.x - a.x) * t;
+                layer.plane.rotation.y = a.rotation + (b.rotation - a.rotation) * t;
+                layer.plane.scale.set(scale, scale, 1);
+            }
+            if (layer.arcs) layer.arcs.segments.position.x = to[0] - layer.gridPositions[0];
+            if (layer.label) {
+                const opacity = layer.labelFrom + (labelOpacity - layer.labelFrom) * t;
+                layer.label.material.opacity = opacity;
+                layer.label.visible = opacity > 0.01;
+                this.placeLabel(layer);
+            }
+        });
+        if (this.connections) this.updateConnectionPositions();
+
+        if (tween.progress >= 1) {
+            this.layoutTween = null;
+            this.updateArcVisibility();
+        }
+    }
+
+    // Arcs only fit side by side token columns, so other layouts and transitions hide them
+    updateArcVisibility() {
+        const visible = this.showConnections && ARC_LAYOUTS.includes(this.layout) && !this.layoutTween;
+        this.neuronLayers.forEach(layer => {
+            if (layer.arcs) layer.arcs.segments.visible = visible;
+        });
+    }
+
+    // Type and size of a layer in the configured language, e.g. "Dense, 64 neurons"
+    layerLabel(layerIndex) {
+        const layer = this.neuronLayers[layerIndex];
+        const spec = this.layerSpecs[layerIndex];
+        const { grid } = layer;
+        return translate(this.config.language, layer.kind === 'hidden' ? `layer.${spec.type}` : `layer.${layer.kind}`, {
+            size: spec.size,
+            shape: grid && grid.rows ? `${grid.rows}×${grid.cols}` : '',
+            channels: spec.channels,
+            tokens: spec.tokens,
+            dim: spec.dim
+        });
+    }
+
+    // Type and size above each layer, shown in the exploded layout; redrawn for a new language or theme
+    updateLayerLabels() {
+        this.neuronLayers.forEach((layer, layerIndex) => {
+            if (layer.label) {
+                this.scene.remove(layer.label);
+                layer.label.material.map.dispose();
+                layer.label.material.dispose();
+            }
+
+            const label = layer.label = createTextSprite(this.layerLabel(layerIndex), cssColor(this.colors.outputText));
+            label.scale.set(0.3 * label.userData.aspect, 0.3, 1);
+            label.material.opacity = this.layout === 'exploded' && !this.layoutTween ? 1 : 0;
+            label.visible = label.material.opacity > 0;
+            this.placeLabel(layer);
+            this.scene.add(label);
+        });
+    }
+
+    placeLabel(layer) {
+        const box = new THREE.Box3().setFromArray(layer.positions);
+        layer.label.position.set((box.min.x + box.max.x) / 2, box.max.y + 0.3, (box.min.z + box.max.z) / 2);
+    }
+
+    // Pixels of the input layer as one texture on a plane, texel (col, row from bottom) per input
+    createInputPlane(layer, x) {
+        const { rows, cols, spacing } = layer.grid;
+        const texture = new THREE.DataTexture(new Uint8Array(rows * cols * 4), cols, rows);
+        texture.magFilter = THREE.NearestFilter;
+        texture.needsUpdate = true;
+
+        const plane = new THREE.Mesh(
+            new THREE.PlaneGeometry(cols * spacing, rows * spacing),
+            new THREE.MeshBasicMaterial({ map: texture, side: THREE.DoubleSide, transparent: true })
+        );
+        plane.position.set(x, 0, 0);
+        plane.rotation.y = -Math.PI / 2; // Texture columns run along +z like the grid
+        plane.userData.isInputPlane = true;
+        return plane;
+    }
+
+    // Draw the strongest weights (by |weight|) between each pair of layers, all in one
+    // LineSegments buffer. Per connection the arrays hold its endpoints, weight and state.
+    createConnections(sampleRate) {
+        const neuronLayers = this.neuronLayers;
+        const selections = [];
+
+        for (let l = 0; l < neuronLayers.length - 1; l++) {
+            // Kernel, pooling and attention windows are the structure of their layer, so all of them
+            // are drawn; the quality tier thins out dense layers only
+            const weightLayer = this.network.layers[l];
+            const structural = weightLayer.type && weightLayer.type !== 'dense';
+            const wanted = structural
+                ? weightLayer.weights.length
+                : Math.floor(neuronLayers[l].count * neuronLayers[l + 1].count * sampleRate);
+            const share = structural ? 1 : this.qualitySettings.connections;
+            // Lines (and with them pulses) only between neurons that are drawn
+            const allowed = weightsBetween(weightLayer, neuronLayers[l].shown, neuronLayers[l + 1].shown);
+            selections.push(selectStrongestWeights(weightLayer, Math.floor(Math.min(wanted, this.config.maxConnectionsPerLayer) * share), allowed));
+        }
+
+        const count = selections.reduce((sum, selected) => sum + selected.length, 0);
+        const connections = this.connections = {
+            count,
+            layerStart: [], // First connection of each weight layer; they are stored layer by layer
+            fromLayer: new Uint8Array(count),
+            fromIndex: new Int32Array(count),
+            toIndex: new Int32Array(count),
+            weightIndex: new Int32Array(count),
+            signal: new Float32Array(count),
+            baseColor: new Float32Array(count * 3),
+            baseOpacity: new Float32Array(count),
+            active: new Set(), // Connections whose color differs from the base (pulsing or fading)
+            segments: createConnectionSegments(count, this.sharedMaterials.connection)
+        };
+
+        let c = 0;
+
+        selections.forEach((selected, l) => {
+            const { indices, offsets } = this.network.layers[l];
+            connections.layerStart.push(c);
+
+            let toIndex = 0;
+            selected.forEach(weightIndex => {
+                // Walk the rows to find the target neuron of this weight
+                while (offsets[toIndex + 1] <= weightIndex) toIndex++;
+
+                connections.fromLayer[c] = l;
+                connections.fromIndex[c] = indices[weightIndex];
+                connections.toIndex[c] = toIndex;
+                connections.weightIndex[c] = weightIndex;
+                c++;
+            });
+        });
+        connections.layerStart.push(c);
+        this.updateConnectionPositions();
+
+        // Drawn connections per neuron, for inspection: outgoing[l] of layer l, incoming[l] into layer l
+        connections.outgoing = [];
+        connections.incoming = [];
+        for (let l = 0; l < neuronLayers.length - 1; l++) {
+            const from = connections.layerStart[l];
+            const to = connections.layerStart[l + 1];
+            connections.outgoing[l] = groupByNeuron(connections.fromIndex, from, to, neuronLayers[l].count);
+            connections.incoming[l + 1] = groupByNeuron(connections.toIndex, from, to, neuronLayers[l + 1].count);
+        }
+
+        connections.segments.visible = this.showConnections;
+        this.scene.add(connections.segments);
+        this.updateConnectionWeights(false);
+    }
+
+    // Another selection of lines (e.g. for a new quality tier) for the same neurons. Pulses on
+    // the old lines are dropped; time and random state of the simulation go on.
+    rebuildConnections() {
+        this.scene.remove(this.connections.segments);
+        this.connections.segments.geometry.dispose();
+
+        const sampleRate = this.trainer ? this.config.training.connectionSampleRate : this.config.connectionSampleRate;
+        this.createConnections(sampleRate);
+        this.simulation.setNetwork(this.neuronLayers.map(layer => layer.activation), this.connections);
+        this.simulation.pulseIntensity.forEach((intensity, l) => {
+            this.neuronLayers[l].pulseIntensity = intensity;
+        });
+        this.runForwardPass(); // Signals of the new lines
+    }
+
+    // Endpoints of every line from the current neuron positions
+    updateConnectionPositions() {
+        const { count, fromLayer, fromIndex, toIndex, segments } = this.connections;
+        const attribute = segments.geometry.attributes.position;
+        const array = attribute.array;
+
+        for (let c = 0; c < count; c++) {
+            const from = this.neuronLayers[fromLayer[c]].positions;
+            const to = this.neuronLayers[fromLayer[c] + 1].positions;
+            for (let k = 0; k < 3; k++) {
+                array[c * 6 + k] = from[fromIndex[c] * 3 + k];
+                array[c * 6 + 3 + k] = to[toIndex[c] * 3 + k];
+            }
+        }
+        attribute.needsUpdate = true;
+    }
+
+    // Color by sign, opacity by magnitude relative to the strongest weight of the layer
+    styleConnection(c, weight, maxWeight) {
+        const { colors } = this;
+        const { connectionOpacity } = this.config;
+        const magnitude = maxWeight > 0 ? Math.abs(weight) / maxWeight : 0;
+        const color = this.tempColor.set(weight >= 0 ? colors.positiveWeights : colors.negativeWeights);
+
+        this.connections.baseColor.set([color.r, color.g, color.b], c * 3);
+        this.connections.baseOpacity[c] = connectionOpacity * (0.5 + magnitude * 2.5); // Stronger weights are more visible
+    }
+
+    // Restyle all connections from the current weights (e.g. during training).
+    // With fade the fade loop in animate() moves them over, otherwise they jump.
+    updateConnectionWeights(fade = true) {
+        const connections = this.connections;
+        const colors = connections.segments.geometry.attributes.color;
+        const maxWeights = this.network.layers.map(layer => {
+            let max = 0;
+            for (let k = 0; k < layer.weights.length; k++) max = Math.max(max, Math.abs(layer.weights[k]));
+            return max;
+        });
+
+        const selected = this.selectedConnections();
+        const highlight = new THREE.Color(this.colors.pulseColor).toArray();
+
+        for (let c = 0; c < connections.count; c++) {
+            const l = connections.fromLayer[c];
+            this.styleConnection(c, this.network.layers[l].weights[connections.weightIndex[c]], maxWeights[l]);
+
+            // With a selected neuron its lines stand out and the rest recede
+            if (selected) {
+                if (selected.has(c)) {
+                    const base = connections.baseColor;
+                    for (let k = 0; k < 3; k++) base[c * 3 + k] += (highlight[k] - base[c * 3 + k]) * 0.4;
+                    connections.baseOpacity[c] = Math.min(1, connections.baseOpacity[c] * 4 + 0.3);
+                } else {
+                    connections.baseOpacity[c] *= 0.15;
+                }
+            }
+
+            if (fade) {
+                connections.active.add(c);
+            } else {
+                const base = connections.baseColor;
+                setSegmentColor(colors.array, c, base[c * 3], base[c * 3 + 1], base[c * 3 + 2], connections.baseOpacity[c]);
+            }
+        }
+        colors.needsUpdate = true;
+    }
+
+    animate(timestamp = performance.now()) {
+        this.frameId = requestAnimationFrame(this.animate);
+
+        // Real elapsed time, so speeds don't depend on the display's frame rate
+        const elapsed = this.lastFrameTime === null ? null : (timestamp - this.lastFrameTime) / 1000;
+        const delta = elapsed === null ? 1 / 60 : Math.min(0.1, elapsed);
+        this.lastFrameTime = timestamp;
+        this.step(delta);
+
+        // The governor judges the tier by the real frame time; an export at a fixed size
+        // or a lost context would mislead it
+        if (this.qualityGovernor && elapsed !== null && !this.renderSize && !this.contextLost) {
+            this.qualityGovernor.sample(elapsed);
+        }
+    }
+
+    // Advance everything by `delta` seconds and render one frame. animate() calls it with
+    // the real frame time; an export calls it with a fixed one while the loop is paused.
+    step(delta) {
+        const config = this.config;
+        const neuronLayers = this.neuronLayers;
+        const connections = this.connections;
+        const colors = connections.segments.geometry.attributes.color;
+        let colorsChanged = false;
+        const frames = delta * 60; // Per-frame rates below were tuned for 60fps
+
+        // Reduced motion: no flicker or shimmer, slower pulses and faint flashes
+        const calm = this.reducedMotion;
+        const flicker = calm ? 0 : 1;
+        const flash = calm ? 0.3 : 1;
+
+        this.animationTime += delta;
+        const animationTime = this.animationTime;
+
+        // A highlighted layer keeps its brightness, the others dim
+        const highlighted = this.highlightedLayer < neuronLayers.length ? this.highlightedLayer : -1;
+        const dim = layerIndex => (highlighted >= 0 && layerIndex !== highlighted ? 0.25 : 1);
+
+        // Smooth camera zoom and focus interpolation
+        const ease = 1 - Math.pow(0.9, frames);
+        this.currentCameraDistance += (this.targetCameraDistance - this.currentCameraDistance) * ease;
+        this.cameraTarget.lerp(this.focusTarget, ease);
+
+        // The flat diagram is seen from the front: turn there, then drop the perspective.
+        // Otherwise rotate around the scene, unless someone moved the camera a moment ago.
+        if (this.layout === 'flat') {
+            const front = Math.PI / 2 + Math.round((this.orbit.azimuth - Math.PI / 2) / (Math.PI * 2)) * Math.PI * 2;
+            this.orbit.azimuth += (front - this.orbit.azimuth) * ease;
+            this.orbit.polar += (Math.PI / 2 - this.orbit.polar) * ease;
+            if (!this.layoutTween && this.camera !== this.orthographicCamera &&
+                Math.abs(front - this.orbit.azimuth) + Math.abs(Math.PI / 2 - this.orbit.polar) < 0.01) {
+                this.orbit.azimuth = front;
+                this.orbit.polar = Math.PI / 2;
+                this.camera = this.orthographicCamera;
+            }
+        } else if (this.isRotating && animationTime - this.lastInteractionTime > config.autoRotateDelay) {
+            this.orbit.azimuth += config.rotationSpeed * frames;
+        }
+        if (this.cameraTween) this.advanceCamera(delta);
+        this.updateCamera();
+
+        // Neurons on their way to another layout
+        if (this.layoutTween) this.advanceLayout(delta);
+
+        // Train a few batches per frame and let the scene follow the new weights
+        if (this.trainer && this.isTraining) {
+            for (let i = 0; i < config.training.batchesPerFrame; i++) this.trainer.step();
+            this.onWeightsChanged();
+        }
+
+        // Up to four times as many pulses at full level
+        if (this.audioInput) {
+            this.audioLevel = Math.min(1, Math.max(0, this.audioInput()));
+            this.simulation.spawnInterval = config.pulseInterval / (1 + this.audioLevel * 3);
+        }
+        const audioLevel = this.audioLevel * flicker;
+
+        // Spawn, move and propagate pulses; glow of the neurons they touch
+        if (!this.pulsesPaused) this.simulation.advance(calm ? delta * 0.4 : delta);
+
+        // Show each pulse as a traveling wave on its line
+        if (this.showConnections) {
+            const pulseColor = this.tempColor.set(this.colors.pulseColor);
+            const base = connections.baseColor;
+
+            this.simulation.pulses.forEach(pulse => {
+                const c = pulse.connection;
+                const pulseWidth = 0.3; // Width of the bright pulse area
+
+                // Calculate intensity based on distance from pulse center
+                const distanceFromPulse = Math.abs(0.5 - pulse.progress);
+                const intensity = Math.max(0, 1 - distanceFromPulse / pulseWidth) * pulse.strength * flash;
+
+                // Color transition from the weight color to bright white, brighter where the pulse is
+                setSegmentColor(
+                    colors.array,
+                    c,
+                    base[c * 3] + (pulseColor.r - base[c * 3]) * intensity,
+                    base[c * 3 + 1] + (pulseColor.g - base[c * 3 + 1]) * intensity,
+                    base[c * 3 + 2] + (pulseColor.b - base[c * 3 + 2]) * intensity,
+                    connections.baseOpacity[c] + intensity * 0.8
+                );
+                connections.active.add(c);
+                colorsChanged = true;
+            });
+        }
+
+        // Pre-calculate common sin values
+        const time2 = Math.sin(animationTime * 2) * flicker;
+        const time05 = Math.sin(animationTime * 0.5) * flicker;
+
+        // Periodic flashing effect for input text (alternating 0s and 1s)
+        if (neuronLayers.length > 0) {
+            const inputLayer = neuronLayers[0];
+            for (let i = 0; i < inputLayer.sprites.length; i++) {
+                const sprite = inputLayer.sprites[i];
+
+                // Text sprites use opacity for brightness
+                const baseOpacity = this.inputValues[i] >= 0.5
+                    ? time05 * 0.1 + 0.5  // "1" text (gray) - subtle pulse
+                    : (time2 * 0.2 + 0.8) * 1.0; // "0" text (white) - brighter
+
+                // Add pulse glow effect
+                const pulseGlow = inputLayer.pulseIntensity[i] * flash;
+                sprite.material.opacity = Math.min(1, baseOpacity + pulseGlow * 0.5) * dim(0);
+
+                // Scale effect when pulsed
+                const scale = inputLayer.spriteScale * (1 + pulseGlow * 0.3 * flicker);
+                sprite.scale.set(scale, scale, 1);
+            }
+            if (inputLayer.plane) {
+                this.updateInputPlane(inputLayer);
+                inputLayer.plane.material.color.setScalar(dim(0));
+            }
+        }
+
+        // "Thinking" effect on hidden neurons with pulse lighting, written into the
+        // per-instance emissive color of each layer's InstancedMesh
+        const greyColor = new THREE.Color(this.colors.hiddenNeurons);
+        const glowColor = new THREE.Color(this.colors.pulseColor);
+        for (let layerIndex = 1; layerIndex < neuronLayers.length - 1; layerIndex++) {
+            const layer = neuronLayers[layerIndex];
+            const layerTime = animationTime * (1 + layerIndex * 0.2);
+            const emissive = layer.mesh.geometry.attributes.instanceEmissive;
+            const emissiveArray = emissive.array;
+
+            // Instance k shows neuron i; only the drawn ones
+            for (let k = 0; k < layer.mesh.count; k++) {
+                const i = layer.instanceOrder[k];
+                // Create wave patterns across the grid with random variations
+                const wave1 = Math.sin(layerTime + layer.phaseOffset[i]);
+                const wave2 = Math.sin(layerTime * 1.5 + layer.randomFactor[i] * 10);
+                const randomPulse = Math.sin(layerTime * 2 + layer.randomFactor[i] * 20);
+
+                // Combine waves for a subtle "thinking" shimmer on top of the real activation
+                const thinking = (wave1 * 0.4 + wave2 * 0.3 + randomPulse * 0.3) * flicker;
+                const baseIntensity = Math.max(0.05, thinking * 0.05 + 0.05 + layer.activation[i] * 0.5);
+
+                // When hit by pulse, transition color from grey to the pulse color
+                const pulseAmount = Math.min(1, layer.pulseIntensity[i] * flash);
+                const intensity = (baseIntensity + pulseAmount * 1.2 + audioLevel * 0.4) * dim(layerIndex);
+
+                emissiveArray[k * 3] = (greyColor.r + (glowColor.r - greyColor.r) * pulseAmount) * intensity;
+                emissiveArray[k * 3 + 1] = (greyColor.g + (glowColor.g - greyColor.g) * pulseAmount) * intensity;
+                emissiveArray[k * 3 + 2] = (greyColor.b + (glowColor.b - greyColor.b) * pulseAmount) * intensity;
+            }
+            emissive.needsUpdate = true;
+        }
+
+        // Output alphabet layer animation
+        if (neuronLayers.length > 0) {
+            const outputLayer = neuronLayers[neuronLayers.length - 1];
+            for (let i = 0; i < outputLayer.count; i++) {
+                const sprite = outputLayer.sprites[i];
+
+                // Base subtle glow, brighter for likely letters
+                const baseOpacity = 0.3 + outputLayer.activation[i] * 0.4 +
+                    Math.sin(animationTime * 0.5 + i * 0.3) * 0.1 * flicker + audioLevel * 0.2;
+
+                // Add pulse glow effect
+                const pulseGlow = outputLayer.pulseIntensity[i] * flash;
+                sprite.material.opacity = Math.min(1, baseOpacity + pulseGlow * 0.6) * dim(neuronLayers.length - 1);
+
+                // Scale effect when pulsed (letters grow when activated), winner stays larger
+                const scale = outputLayer.spriteScale * (1 + pulseGlow * 0.4 * flicker + (i === outputLayer.winner ? 0.5 : 0));
+                sprite.scale.set(scale * sprite.userData.aspect, scale, 1);
+            }
+        }
+
+        // Arcs of attention layers glow after pulses and fade back to the attention weight
+        neuronLayers.forEach(layer => {
+            const arcs = layer.arcs;
+            if (!arcs || !arcs.flashing) return;
+
+            const decay = Math.pow(calm ? 0.97 : 0.92, frames);
+            let flashing = false;
+            for (let p = 0; p < arcs.flash.length; p++) {
+                arcs.flash[p] = arcs.flash[p] > 0.01 ? arcs.flash[p] * decay : 0;
+                if (arcs.flash[p] > 0) flashing = true;
+            }
+            arcs.flashing = flashing;
+            this.drawAttentionArcs(layer);
+        });
+
+        // Fade connections back to normal color and opacity; only those that changed
+        if (this.showConnections && connections.active.size > 0) {
+            const array = colors.array;
+            const base = connections.baseColor;
+            const fade = 1 - Math.pow(calm ? 0.95 : 0.85, frames);
+
+            connections.active.forEach(c => {
+                const offset = c * 8;
+                let settled = true;
+
+                // Gradually fade back to the weight color and base opacity
+                for (let k = 0; k < 4; k++) {
+                    const target = k < 3 ? base[c * 3 + k] : connections.baseOpacity[c];
+                    const value = array[offset + k] + (target - array[offset + k]) * fade;
+                    if (Math.abs(value - target) > 0.002) settled = false;
+                    array[offset + k] = array[offset + 4 + k] = value;
+                }
+
+                if (settled) {
+                    setSegmentColor(array, c, base[c * 3], base[c * 3 + 1], base[c * 3 + 2], connections.baseOpacity[c]);
+                    connections.active.delete(c);
+                }
+            });
+            colorsChanged = true;
+        }
+        if (colorsChanged) colors.needsUpdate = true;
+
+        // Picking projects every drawn neuron, so only when the pointer, the neurons or the camera moved
+        if (this.hoverPointer) {
+            this.viewMatrix.multiplyMatrices(this.camera.projectionMatrix, this.camera.matrixWorldInverse);
+            if (this.hoverStale || !this.viewMatrix.equals(this.hoverView)) {
+                this.hoverView.copy(this.viewMatrix);
+                this.hoverStale = false;
+                this.setHoveredNeuron(this.pickNeuron(this.hoverPointer));
+            }
+        }
+        this.updateTooltip();
+
+        // Without a context there is nothing to draw to; the animation goes on
+        if (!this.contextLost) this.renderer.render(this.scene, this.camera);
+        if (!this.overlay.hidden) this.updateOverlay();
+        this.emit('frame', { time: this.animationTime, delta });
+    }
+
+    // Shade each pixel between the "0" and "1" colors by its value, pulses light it up
+    updateInputPlane(layer) {
+        const { rows, cols, topRowFirst } = layer.grid;
+        const texture = layer.plane.material.map;
+        const data = texture.image.data;
+        const colors = this.colors;
+        const off = new THREE.Color(colors.inputNeuronOff);
+        const on = new THREE.Color(colors.inputNeuronOn);
+        const pulse = new THREE.Color(colors.pulseColor);
+
+        for (let i = 0; i < layer.count; i++) {
+            const row = Math.floor(i / cols);
+            const texel = ((topRowFirst ? rows - 1 - row : row) * cols + i % cols) * 4;
+            const value = this.inputValues[i];
+            const glow = Math.min(1, layer.pulseIntensity[i] * (this.reducedMotion ? 0.15 : 0.5));
+
+            data[texel] = 255 * ((off.r + (on.r - off.r) * value) * (1 - glow) + pulse.r * glow);
+            data[texel + 1] = 255 * ((off.g + (on.g - off.g) * value) * (1 - glow) + pulse.g * glow);
+            data[texel + 2] = 255 * ((off.b + (on.b - off.b) * value) * (1 - glow) + pulse.b * glow);
+            data[texel + 3] = 255 * (0.75 + glow * 0.25);
+        }
+        texture.needsUpdate = true;
+    }
+
+    onPulseArrived(layerIndex, index) {
+        const layer = this.neuronLayers[layerIndex];
+        this.emit('pulsearrived', { layerIndex, index, activation: layer.activation[index] });
+
+        // A convolution looks at its whole kernel window at once: all lines into the neuron light up
+        if (layer.type === 'conv' && this.showConnections) this.flashIncoming(layerIndex, index);
+
+        // A token that receives a pulse lights the arcs of the tokens it attends to
+        if (layer.arcs) {
+            const { tokens, dim } = layer.grid;
+            const token = Math.floor(index / dim);
+            const arcs = layer.arcs;
+            const amount = this.reducedMotion ? 0.3 : 1;
+            for (let p = token * (tokens - 1); p < (token + 1) * (tokens - 1); p++) {
+                arcs.flash[p] = Math.max(arcs.flash[p], Math.min(1, arcs.weight[p] * 2) * amount);
+            }
+            arcs.flashing = true;
+        }
+
+        if (layer.kind === 'output') {
+            this.emit('outputactivated', {
+                index,
+                label: this.labels[index],
+                probability: this.probabilities[index],
+                isPrediction: index === this.predictionIndex
+            });
+        }
+    }
+
+    // Brighten the drawn incoming lines of a neuron; the fade in step() takes them back
+    flashIncoming(layerIndex, index) {
+        const connections = this.connections;
+        const group = connections.incoming[layerIndex];
+        const colors = connections.segments.geometry.attributes.color;
+        const pulse = this.tempColor.set(this.colors.pulseColor);
+        const base = connections.baseColor;
+        const amount = this.reducedMotion ? 0.2 : 0.6;
+
+        for (let k = group.start[index]; k < group.start[index + 1]; k++) {
+            const c = group.list[k];
+            const intensity = amount * (0.3 + connections.signal[c] * 0.7);
+            setSegmentColor(
+                colors.array,
+                c,
+                base[c * 3] + (pulse.r - base[c * 3]) * intensity,
+                base[c * 3 + 1] + (pulse.g - base[c * 3 + 1]) * intensity,
+                base[c * 3 + 2] + (pulse.b - base[c * 3 + 2]) * intensity,
+                connections.baseOpacity[c] + intensity * 0.5
+            );
+            connections.active.add(c);
+        }
+        colors.needsUpdate = true;
+    }
+
+    // Replace the current network with a trained model ({ network, labels } from model-loader.js).
+    // Throws an Error with `problems` if the visualizer cannot show it.
+    loadModel({ network: model, labels }) {
+        const problems = [];
+        const sizes = model.sizes;
+
+        if (sizes.length < 3) {
+            problems.push('The model needs at least one hidden layer.');
+        }
+
+        if (problems.length > 0) {
+            const error = new Error(problems.join('\n'));
+            error.problems = problems;
+            throw error;
+        }
+
+        // A loaded model replaces the network being trained
+        this.resetTrainingState();
+
+        this.config.layers = sizes.slice();
+        this.config.outputLabels = labels;
+        this.clearNeuralNetwork();
+        this.buildNeuralNetwork(model);
+        this.emit('modelload', { layers: sizes.slice(), labels: this.labels.slice() });
+    }
+
+    async loadModelFromUrl(url) {
+        this.loadModel(await loadModelFromUrl(url));
+    }
+
+    onResize() {
+        // A fixed render size (export) keeps the canvas' on-page size, only its pixels change
+        const { width, height } = this.renderSize || { width: this.container.clientWidth, height: this.container.clientHeight };
+        this.perspectiveCamera.aspect = width / height;
+        this.perspectiveCamera.updateProjectionMatrix();
+        if (this.camera.isOrthographicCamera) this.updateCamera();
+        this.renderer.setPixelRatio(this.renderSize ? 1 : Math.min(window.devicePixelRatio, this.qualitySettings.pixelRatio)); // Capped by the quality tier
+        this.renderer.setSize(width, height, !this.renderSize);
+    }
+
+    // Render at exactly width x height pixels (e.g. for an export); without arguments follow the container again
+    setRenderSize(width = null, height = null) {
+        this.renderSize = width && height ? { width, height } : null;
+        this.onResize();
+    }
+
+    // Pointer Events, so mouse, pen and touch share one code path:
+    // one pointer orbits (right mouse button pans), two pointers pinch-zoom and pan,
+    // a tap toggles the input under it and a double tap focuses the nearest layer
+    setupControls() {
+        const canvas = this.renderer.domElement;
+        const { signal } = this.canvasListeners;
+        const pointers = new Map(); // pointerId -> last { x, y }
+        let gesture = null; // { moved, panning, startX, startY } while pointers are down
+        let pinch = null; // Distance and midpoint of the last two-pointer move
+        let lastTap = { time: 0, x: 0, y: 0 };
+
+        canvas.style.touchAction = 'none'; // Touch gestures go to the visualizer, not the page
+
+        // Keyboard: the canvas takes focus and moves a cursor over layers and neurons
+        canvas.tabIndex = 0;
+        canvas.setAttribute('role', 'application');
+        canvas.addEventListener('keydown', (e) => this.onKeyDown(e), { signal });
+        canvas.addEventListener('blur', () => {
+            this.keyboardNeuron = null;
+        }, { signal });
+
+        const twoPointers = () => {
+            const [a, b] = pointers.values();
+            return { distance: Math.hypot(a.x - b.x, a.y - b.y), x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+        };
+
+        canvas.addEventListener('pointerdown', (e) => {
+            if (!this.interactive) return;
+            canvas.setPointerCapture(e.pointerId);
+            pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            this.onCameraInput();
+
+            // No hover inspection while dragging
+            this.hoverPointer = null;
+            this.setHoveredNeuron(null);
+
+            if (pointers.size === 1) {
+                gesture = { moved: false, panning: e.button === 2, startX: e.clientX, startY: e.clientY };
+            } else {
+                gesture.moved = true; // Multi-touch is never a tap
+                pinch = twoPointers();
+            }
+        }, { signal });
+
+        canvas.addEventListener('pointermove', (e) => {
+            if (!pointers.has(e.pointerId)) {
+                // Hovering with the mouse inspects neurons (picked in the next step())
+                if (e.pointerType === 'mouse') {
+                    this.hoverPointer = { clientX: e.clientX, clientY: e.clientY };
+                    this.hoverStale = true;
+                }
+                return;
+            }
+
+            const previous = pointers.get(e.pointerId);
+            pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            if (Math.abs(e.clientX - gesture.startX) + Math.abs(e.clientY - gesture.startY) >= 5) gesture.moved = true;
+            this.onCameraInput();
+
+            if (pointers.size >= 2) {
+                const current = twoPointers();
+                if (current.distance > 0 && pinch.distance > 0) this.zoomCamera(pinch.distance / current.distance);
+                this.panCamera(current.x - pinch.x, current.y - pinch.y);
+                pinch = current;
+            } else if (gesture.panning) {
+                this.panCamera(e.clientX - previous.x, e.clientY - previous.y);
+            } else {
+                this.rotateCamera((e.clientX - previous.x) * 0.01, -(e.clientY - previous.y) * 0.005);
+            }
+        }, { signal });
+
+        const endPointer = (e) => {
+            if (!pointers.delete(e.pointerId)) return;
+
+            if (pointers.size === 1) {
+                // Pinch ended: continue orbiting with the remaining finger without a jump
+                pinch = null;
+            } else if (pointers.size === 0) {
+                const isTap = e.type === 'pointerup' && !gesture.moved && !gesture.panning;
+                gesture = null;
+                if (!isTap) return;
+
+                // A tap without dragging toggles the input bit under it and selects the
+                // neuron there; a tap on empty space clears the selection
+                const index = this.pickInput(e);
+                if (index >= 0) this.toggleInput(index);
+                this.selectNeuron(index >= 0 ? { layerIndex: 0, index } : this.pickNeuron(e));
+
+                // Two taps close together focus a layer
+                const now = performance.now();
+                if (now - lastTap.time < 300 && Math.hypot(e.clientX - lastTap.x, e.clientY - lastTap.y) < 20) {
+                    this.focusLayer(this.pickLayer(e));
+                    lastTap.time = 0;
+                } else {
+                    lastTap = { time: now, x: e.clientX, y: e.clientY };
+                }
+            }
+        };
+        canvas.addEventListener('pointerup', endPointer, { signal });
+        canvas.addEventListener('pointercancel', endPointer, { signal });
+
+        canvas.addEventListener('pointerleave', () => {
+            this.hoverPointer = null;
+            this.setHoveredNeuron(null);
+        }, { signal });
+
+        // Right mouse button pans instead of opening the menu
+        canvas.addEventListener('contextmenu', (e) => e.preventDefault(), { signal });
+
+        // Mouse wheel zoom - smooth interpolation in animate()
+        canvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            if (!this.interactive) return;
+            const zoomSpeed = 0.15;
+            const direction = e.deltaY > 0 ? 1 : -1;
+            this.zoomCamera(1 + direction * zoomSpeed);
+            this.onCameraInput();
+        }, { signal });
+    }
+
+    // Arrow keys move between layers (left/right) and neurons (up/down), Home/End jump to
+    // the first/last neuron, Enter/Space toggles an input or selects the neuron, Escape clears
+    onKeyDown(e) {
+        if (!this.interactive || e.altKey || e.ctrlKey || e.metaKey || this.neuronLayers.length === 0) return;
+
+        const cursor = this.keyboardNeuron;
+        const layers = this.neuronLayers;
+        let next = null;
+
+        switch (e.key) {
+            case 'ArrowLeft':
+            case 'ArrowRight': {
+                if (!cursor) {
+                    next = this.selectedNeuron || { layerIndex: 0, index: 0 };
+                    break;
+                }
+                const step = e.key === 'ArrowLeft' ? -1 : 1;
+                const layerIndex = Math.min(layers.length - 1, Math.max(0, cursor.layerIndex + step));
+                // Land on the most active neuron, that is where the signal goes
+                next = layerIndex === cursor.layerIndex ? cursor : { layerIndex, index: argmax(layers[layerIndex].activation) };
+                break;
+            }
+            case 'ArrowUp':
+            case 'ArrowDown':
+            case 'Home':
+            case 'End': {
+                if (!cursor) {
+                    next = this.selectedNeuron || { layerIndex: 0, index: 0 };
+                    break;
+                }
+                const last = layers[cursor.layerIndex].count - 1;
+                const index = e.key === 'Home' ? 0 : e.key === 'End' ? last : cursor.index + (e.key === 'ArrowUp' ? -1 : 1);
+                next = { layerIndex: cursor.layerIndex, index: Math.min(last, Math.max(0, index)) };
+                break;
+            }
+            case 'Enter':
+            case ' ':
+                if (!cursor) return;
+                e.preventDefault();
+                if (cursor.layerIndex === 0) {
+                    this.toggleInput(cursor.index); // Announces the new pattern
+                    this.selectNeuron(cursor);
+                } else {
+                    const selected = this.selectedNeuron;
+                    const same = selected && selected.layerIndex === cursor.layerIndex && selected.index === cursor.index;
+                    this.selectNeuron(same ? null : cursor);
+                    this.announce(this.neuronText(cursor).join('. '));
+                }
+                return;
+            case 'Escape':
+                if (!cursor && !this.selectedNeuron) return;
+                e.preventDefault();
+                this.keyboardNeuron = null;
+                this.selectNeuron(null);
+                return;
+            default:
+                return;
+        }
+
+        e.preventDefault();
+        this.keyboardNeuron = next;
+        this.announce(this.neuronText(next).join('. '));
+    }
+
+    // WebGL, or a 2D drawing of the same scene where WebGL can't be created
+    createRenderer() {
+        try {
+            const renderer = new THREE.WebGLRenderer({
+                antialias: this.qualitySettings.antialias, // Only in the 'ultra' tier, for performance
+                powerPreference: "high-performance"
+            });
+            this.canvasFallback = false;
+            return renderer;
+        } catch (err) {
+            this.canvasFallback = true;
+            return createCanvasRenderer();
+        }
+    }
+
+    // A new renderer in place of the old one, e.g. to switch antialiasing, which a WebGL
+    // context can't change. The scene is uploaded to the new context on the next frame.
+    replaceRenderer() {
+        const old = this.renderer;
+        const focused = document.activeElement === old.domElement;
+        this.canvasListeners.abort();
+        this.canvasListeners = new AbortController();
+
+        this.renderer = this.createRenderer();
+        old.domElement.replaceWith(this.renderer.domElement);
+        old.dispose();
+        if (old.forceContextLoss) old.forceContextLoss(); // Frees the GPU memory now, not when collected
+
+        this.onResize();
+        this.setupContextLoss();
+        this.setupControls();
+        this.updateCanvasLabel();
+        this.updateNotice();
+        if (focused) this.renderer.domElement.focus();
+    }
+
+    // Settings of the current quality tier
+    get qualitySettings() {
+        return QUALITY_TIERS[QUALITY_NAMES.indexOf(this.qualityTier)];
+    }
+
+    // Hidden neurons drawn of a layer with `count` of them
+    shownNeurons(count) {
+        return Math.max(1, Math.ceil(count * this.qualitySettings.neurons));
+    }
+
+    // Draw as many neurons of a hidden layer as the tier allows, the first ones of its
+    // instanceOrder. layer.shown marks them with 1 (null when all are drawn).
+    updateShownNeurons(layer) {
+        layer.mesh.count = this.shownNeurons(layer.count);
+        this.hoverStale = true;
+        if (layer.mesh.count === layer.count) {
+            layer.shown = null;
+            return;
+        }
+        layer.shown = new Uint8Array(layer.count);
+        for (let k = 0; k < layer.mesh.count; k++) layer.shown[layer.instanceOrder[k]] = 1;
+    }
+
+    // Apply config.quality: a fixed tier, or a governor that starts from the current one
+    updateQuality() {
+        const { tier, adaptive, targetFps, minTier, maxTier, overlay } = this.config.quality;
+        const min = QUALITY_NAMES.indexOf(minTier);
+        const max = Math.max(min, QUALITY_NAMES.indexOf(maxTier));
+
+        this.qualityGovernor = adaptive ? createQualityGovernor({
+            targetFps,
+            minTier: min,
+            maxTier: max,
+            tier: QUALITY_NAMES.indexOf(this.qualityGovernor ? this.qualityTier : tier),
+            onChange: index => this.setQualityTier(QUALITY_NAMES[index])
+        }) : null;
+        this.setQualityTier(adaptive ? QUALITY_NAMES[this.qualityGovernor.tier] : tier);
+        this.overlay.hidden = !overlay;
+    }
+
+    // Switch to another tier of QUALITY_TIERS by name; only what differs is redone
+    setQualityTier(name) {
+        if (name === this.qualityTier || !QUALITY_NAMES.includes(name)) return;
+        const before = this.qualitySettings;
+        this.qualityTier = name;
+        const settings = this.qualitySettings;
+
+        this.simulation.maxPulses = settings.pulses;
+        if (settings.antialias !== before.antialias && !this.canvasFallback) {
+            this.replaceRenderer();
+        } else if (settings.pixelRatio !== before.pixelRatio) {
+            this.onResize();
+        }
+        if (settings.neurons !== before.neurons) {
+            this.neuronLayers.forEach(layer => {
+                if (layer.mesh) this.updateShownNeurons(layer);
+            });
+        }
+        // Other drawn neurons need other lines as well
+        if (settings.connections !== before.connections || settings.neurons !== before.neurons) this.rebuildConnections();
+        this.emit('qualitychange', { tier: name, fps: this.qualityGovernor && this.qualityGovernor.fps });
+    }
+
+    // Frame rate (of step() calls, so also of a follower or an export), draw calls, tier and pulses
+    updateOverlay() {
+        const now = performance.now();
+        this.overlayFrames++;
+        if (now - this.overlayStart < 500) return;
+
+        const t = (key, values) => translate(this.config.language, key, values);
+        const fps = this.overlayFrames * 1000 / (now - this.overlayStart);
+        const tier = t(`quality.${this.qualityTier}`);
+        this.overlay.textContent = [
+            t('quality.fps', { value: fps.toFixed(0) }),
+            t('quality.calls', { value: this.renderer.info.render.calls }),
+            t('quality.tier', { tier: this.qualityGovernor ? t('quality.adaptive', { tier }) : tier }),
+            t('quality.pulses', { value: this.simulation.pulses.length })
+        ].join('\n');
+        this.overlayStart = now;
+        this.overlayFrames = 0;
+    }
+
+    // A lost WebGL context takes every GPU buffer, texture and shader with it. The browser
+    // may give a new one; then the scene is built again for the same network and input.
+    setupContextLoss() {
+        const canvas = this.renderer.domElement;
+        const { signal } = this.canvasListeners;
+
+        canvas.addEventListener('webglcontextlost', (e) => {
+            e.preventDefault(); // Without it the context is never restored
+            this.contextLost = true;
+            this.updateNotice();
+            this.emit('contextlost');
+        }, { signal });
+
+        canvas.addEventListener('webglcontextrestored', () => {
+            const { selectedNeuron } = this;
+            this.contextLost = false;
+            this.rebuildScene(this.network);
+            this.selectNeuron(selectedNeuron);
+            this.updateNotice();
+            this.emit('contextrestored');
+        }, { signal });
+    }
+
+    // Shows why the view is degraded: a lost context, or the 2D fallback until it's closed
+    updateNotice() {
+        const t = key => translate(this.config.language, key);
+        const key = this.contextLost ? 'renderer.contextLost' : this.canvasFallback && !this.noticeDismissed ? 'renderer.fallback' : null;
+        this.notice.hidden = !key;
+        if (!key) return;
+        this.noticeText.textContent = t(key);
+        this.noticeClose.hidden = this.contextLost;
+        this.noticeClose.setAttribute('aria-label', t('error.close'));
+    }
+
+    updateCanvasLabel() {
+        this.renderer.domElement.setAttribute('aria-label', translate(this.config.language, 'a11y.canvas'));
+    }
+
+    // Hand a text to screen readers through the live region
+    announce(text) {
+        this.liveRegion.textContent = text;
+    }
+
+    // Input pattern and predicted label in words; small grids are read row by row from the top
+    describeState() {
+        const t = (key, values) => translate(this.config.language, key, values);
+        const inputLayer = this.neuronLayers[0];
+        const { rows, cols, topRowFirst } = inputLayer.grid;
+        const values = this.inputValues;
+
+        let input;
+        if (inputLayer.plane) {
+            let on = 0;
+            for (let i = 0; i < inputLayer.count; i++) if (values[i] >= 0.5) on++;
+            input = t('a11y.inputPixels', { rows, cols, on, count: inputLayer.count });
+        } else {
+            const lines = [];
+            for (let r = 0; r < rows; r++) {
+                const row = topRowFirst ? r : rows - 1 - r;
+                const digits = [];
+                for (let c = 0; c < cols && row * cols + c < inputLayer.count; c++) {
+                    digits.push(values[row * cols + c] >= 0.5 ? '1' : '0');
+                }
+                lines.push(digits.join(' '));
+            }
+            input = t('a11y.inputGrid', { rows, cols, pattern: lines.join(', ') });
+        }
+
+        const { label, probability } = this.prediction;
+        return `${input} ${t('a11y.prediction', { label, percent: (probability * 100).toFixed(0) })}`;
+    }
+
+    // Neuron drawn closest to the pointer, { layerIndex, index } or null if none is near.
+    // Works in screen space, so even the tiny hidden neurons are easy to hit.
+    pickNeuron(event) {
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        const x = event.clientX - rect.left;
+        const y = event.clientY - rect.top;
+        const m = new THREE.Matrix4()
+            .multiplyMatrices(this.camera.projectionMatrix, this.camera.matrixWorldInverse).elements;
+
+        let best = null;
+        let bestDistance = Infinity;
+        this.neuronLayers.forEach((layer, layerIndex) => {
+            const radius = layer.kind === 'hidden' ? 8 : 20; // Pixels
+            const positions = layer.positions;
+
+            // Only neurons that are drawn
+            const shown = layer.mesh ? layer.mesh.count : layer.count;
+            for (let k = 0; k < shown; k++) {
+                const i = layer.mesh ? layer.instanceOrder[k] : k;
+                const px = positions[i * 3];
+                const py = positions[i * 3 + 1];
+                const pz = positions[i * 3 + 2];
+                const w = m[3] * px + m[7] * py + m[11] * pz + m[15];
+                if (w <= 0) continue; // Behind the camera
+
+                const sx = ((m[0] * px + m[4] * py + m[8] * pz + m[12]) / w + 1) / 2 * rect.width;
+                const sy = (1 - (m[1] * px + m[5] * py + m[9] * pz + m[13]) / w) / 2 * rect.height;
+                const distance = Math.hypot(sx - x, sy - y);
+                if (distance < radius && distance < bestDistance) {
+                    bestDistance = distance;
+                    best = { layerIndex, index: i };
+                }
+            }
+        });
+        return best;
+    }
+
+    setHoveredNeuron(neuron) {
+        this.hoveredNeuron = neuron;
+        this.renderer.domElement.style.cursor = neuron ? 'pointer' : 'default';
+    }
+
+    // Highlight a neuron's incoming and outgoing lines and dim the rest; null clears the selection
+    selectNeuron(neuron) {
+        const current = this.selectedNeuron;
+        if (neuron === current || (neuron && current &&
+            neuron.layerIndex === current.layerIndex && neuron.index === current.index)) return;
+
+        this.selectedNeuron = neuron ? { layerIndex: neuron.layerIndex, index: neuron.index } : null;
+        this.updateConnectionWeights();
+        this.emit('neuronselect', this.selectedNeuron && { ...this.selectedNeuron });
+    }
+
+    // Drawn connections of the selected neuron as a Set, null without selection
+    selectedConnections() {
+        if (!this.selectedNeuron) return null;
+        const { layerIndex, index } = this.selectedNeuron;
+        const { incoming, outgoing } = this.connections;
+        const selected = new Set();
+
+        [incoming[layerIndex], outgoing[layerIndex]].forEach(group => {
+            if (!group) return;
+            for (let k = group.start[index]; k < group.start[index + 1]; k++) selected.add(group.list[k]);
+        });
+        return selected;
+    }
+
+    // Layer, index, activation and connection counts of one neuron
+    describeNeuron(layerIndex, index) {
+        const layer = this.neuronLayers[layerIndex];
+        const { incoming, outgoing } = this.connections;
+        const drawnIn = incoming[layerIndex] ? incoming[layerIndex].start[index + 1] - incoming[layerIndex].start[index] : 0;
+        const drawnOut = outgoing[layerIndex] ? outgoing[layerIndex].start[index + 1] - outgoing[layerIndex].start[index] : 0;
+
+        let weightsIn = 0;
+        if (layerIndex > 0) {
+            const { offsets } = this.network.layers[layerIndex - 1];
+            weightsIn = offsets[index + 1] - offsets[index];
+        }
+
+        // Outgoing weights are spread over the next layer's rows, so count them once per layer
+        let weightsOut = 0;
+        if (layerIndex < this.network.layers.length) {
+            if (!this.outDegrees[layerIndex]) {
+                const degrees = new Int32Array(layer.count);
+                this.network.layers[layerIndex].indices.forEach(i => degrees[i]++);
+                this.outDegrees[layerIndex] = degrees;
+            }
+            weightsOut = this.outDegrees[layerIndex][index];
+        }
+
+        return {
+            layerIndex,
+            index,
+            kind: layer.kind,
+            type: layer.type,
+            label: layer.kind === 'output' ? this.labels[index] : null,
+            activation: this.activations[layerIndex][index], // Raw value (input value, logit for outputs)
+            normalized: layer.activation[index], // 0..1 within the layer, as shown
+            probability: layer.kind === 'output' ? this.probabilities[index] : null,
+            weightsIn,
+            weightsOut,
+            drawnIn,
+            drawnOut
+        };
+    }
+
+    // Tooltip lines of a neuron, also read out for the keyboard cursor
+    neuronText(neuron) {
+        const info = this.describeNeuron(neuron.layerIndex, neuron.index);
+        const t = (key, values) => translate(this.config.language, key, values);
+        const { cols } = this.neuronLayers[0].grid;
+        const grid = this.neuronLayers[info.layerIndex].grid;
+        let title;
+        if (info.kind === 'input') {
+            title = t('tooltip.input', { index: info.index, row: Math.floor(info.index / cols), column: info.index % cols });
+        } else if (info.kind === 'output') {
+            title = t('tooltip.output', { index: info.index, label: info.label });
+        } else if (info.type === 'conv' || info.type === 'pool') {
+            title = t(`tooltip.${info.type}`, {
+                layer: info.layerIndex,
+                map: Math.floor(info.index / (grid.rows * grid.cols)),
+                row: Math.floor(info.index / grid.cols) % grid.rows,
+                column: info.index % grid.cols
+            });
+        } else if (info.type === 'attention') {
+            title = t('tooltip.attention', { layer: info.layerIndex, token: Math.floor(info.index / grid.dim), dimension: info.index % grid.dim });
+        } else {
+            title = t('tooltip.hidden', { layer: info.layerIndex, layers: this.neuronLayers.length - 2, index: info.index });
+        }
+        const lines = [
+            title,
+            info.kind === 'output'
+                ? t('tooltip.probability', { percent: (info.probability * 100).toFixed(1), logit: info.activation.toFixed(3) })
+                : t('tooltip.activation', { value: info.activation.toFixed(3) }),
+            t('tooltip.in', { count: info.weightsIn, shown: info.drawnIn }),
+            t('tooltip.out', { count: info.weightsOut, shown: info.drawnOut })
+        ];
+        if (info.kind === 'input') lines.splice(2, 1);
+        if (info.kind === 'output') lines.pop();
+        return lines;
+    }
+
+    // Show the hovered neuron, else the keyboard cursor or the selected one, next to where it is drawn
+    updateTooltip() {
+        const neuron = this.hoveredNeuron || this.keyboardNeuron || this.selectedNeuron;
+        const tooltip = this.tooltip;
+        if (!neuron || !this.neuronLayers[neuron.layerIndex]) {
+            tooltip.hidden = true;
+            return;
+        }
+
+        tooltip.textContent = this.neuronText(neuron).join('\n');
+
+        const position = new THREE.Vector3().fromArray(this.neuronLayers[neuron.layerIndex].positions, neuron.index * 3);
+        position.project(this.camera);
+        const canvas = this.renderer.domElement;
+        tooltip.style.left = `${canvas.offsetLeft + (position.x + 1) / 2 * canvas.clientWidth + 14}px`;
+        tooltip.style.top = `${canvas.offsetTop + (1 - position.y) / 2 * canvas.clientHeight + 14}px`;
+        tooltip.hidden = position.z > 1; // Behind the camera
+    }
+
+    // Index of the input neuron (sprite or pixel) under the pointer, -1 if none
+    pickInput(event) {
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        this.pointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+        this.pointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+        this.raycaster.setFromCamera(this.pointer, this.camera);
+
+        const inputLayer = this.neuronLayers[0];
+        if (!inputLayer) return -1;
+
+        if (inputLayer.plane) {
+            const hits = this.raycaster.intersectObject(inputLayer.plane, false);
+            if (hits.length === 0) return -1;
+
+            const { rows, cols, topRowFirst } = inputLayer.grid;
+            const col = Math.min(cols - 1, Math.floor(hits[0].uv.x * cols));
+            const texelRow = Math.min(rows - 1, Math.floor(hits[0].uv.y * rows));
+            const index = (topRowFirst ? rows - 1 - texelRow : texelRow) * cols + col;
+            return index < inputLayer.count ? index : -1;
+        }
+
+        const hits = this.raycaster.intersectObjects(inputLayer.sprites, false);
+        return hits.length > 0 ? hits[0].object.userData.index : -1;
+    }
+
+    // Switch one input between 0 and 1
+    toggleInput(index) {
+        this.setInputValue(index, this.inputValues[index] >= 0.5 ? 0 : 1);
+        this.onInputChanged();
+    }
+
+    // Set all inputs at once (numbers 0..1 or booleans), e.g. to show a letter from the training set
+    setInputPattern(values) {
+        for (let i = 0; i < this.inputValues.length; i++) {
+            const value = Number(values[i]) || 0;
+            if (this.inputValues[i] !== value) this.setInputValue(i, value);
+        }
+        this.onInputChanged();
+    }
+
+    setInputValue(index, value) {
+        const inputLayer = this.neuronLayers[0];
+        this.inputValues[index] = value;
+        inputLayer.pulseIntensity[index] = 2.5;
+
+        const sprite = inputLayer.sprites[index];
+        if (sprite) setSpriteText(sprite, ...this.inputSpriteText(value));
+    }
+
+    onInputChanged() {
+        this.runForwardPass();
+
+        // Drop pulses of the old pattern and send a burst from the new one
+        this.simulation.burst(8);
+        this.announce(this.describeState());
+        this.emit('inputchange', { values: Array.from(this.inputValues) });
+    }
+
+    get isTrainingMode() {
+        return this.trainer !== null;
+    }
+
+    // Switch to a small freshly initialised network that learns the built-in letter glyphs
+    // (also used to restart training from scratch)
+    startTraining() {
+        const config = this.config;
+        if (!this.trainer) {
+            this.networkBeforeTraining = {
+                network: this.network,
+                isDemoNetwork: this.isDemoNetwork,
+                layers: config.layers.slice(),
+                labels: config.outputLabels
+            };
+        }
+
+        const labels = Object.keys(LETTER_GLYPHS);
+        const sizes = [16, ...config.training.hiddenLayers, labels.length];
+        this.random = createRandom(this.seed);
+        const model = createRandomNetwork(sizes, Infinity, this.random); // Fully connected
+
+        this.trainer = createTrainer(model, createGlyphDataset(labels), {
+            learningRate: config.training.learningRate,
+            batchSize: config.training.batchSize,
+            random: this.random
+        });
+        this.isTraining = false;
+
+        config.layers = sizes;
+        config.outputLabels = labels;
+        this.clearNeuralNetwork();
+        this.buildNeuralNetwork(model);
+        this.emitTrainingUpdate();
+    }
+
+    // Leave training mode and restore the network shown before
+    stopTraining() {
+        const previous = this.networkBeforeTraining;
+        if (!previous) return;
+        this.resetTrainingState();
+
+        this.config.layers = previous.layers;
+        this.config.outputLabels = previous.labels;
+        this.clearNeuralNetwork();
+        this.buildNeuralNetwork(previous.network);
+        this.isDemoNetwork = previous.isDemoNetwork;
+    }
+
+    resetTrainingState() {
+        this.trainer = null;
+        this.isTraining = false;
+        this.networkBeforeTraining = null;
+    }
+
+    // Play/pause of the training loop
+    setTrainingRunning(running) {
+        if (!this.trainer) return;
+        this.isTraining = running;
+        this.emitTrainingUpdate();
+    }
+
+    trainStep() {
+        if (!this.trainer) return;
+        this.isTraining = false;
+        this.trainer.step();
+        this.onWeightsChanged();
+    }
+
+    // Weights and biases of the same network from elsewhere, e.g. a presenter that trains
+    // (sync.js): one { weights, biases } per layer of network.layers
+    setWeights(layers) {
+        layers.forEach(({ weights, biases }, l) => {
+            this.network.layers[l].weights.set(weights);
+            this.network.layers[l].biases.set(biases);
+        });
+        this.updateConnectionWeights();
+        this.runForwardPass();
+    }
+
+    onWeightsChanged() {
+        this.updateConnectionWeights();
+        this.runForwardPass();
+        this.emit('weightschange');
+
+        // Accuracy needs a pass over the whole dataset, so report a few times per second
+        if (!this.isTraining || this.animationTime - this.lastReadoutTime > 0.25) {
+            this.lastReadoutTime = this.animationTime;
+            this.emitTrainingUpdate();
+        }
+    }
+
+    emitTrainingUpdate() {
+        const trainer = this.trainer;
+        this.emit('trainingupdate', {
+            ...trainer.stats,
+            accuracy: trainer.accuracy(true),
+            noisyAccuracy: trainer.accuracy(),
+            running: this.isTraining
+        });
+    }
+}
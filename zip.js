@@ -0,0 +1,66 @@
+// Minimal ZIP writer without compression ("stored"). PNG frames and MP3s are
+// already compressed, so deflating them again would only cost time.
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c;
+});
+
+const DOS_DATE = (1 << 5) | 1; // 1980-01-01, the files carry no meaningful date
+
+function crc32(data) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// files: [{ name, data: Uint8Array }] -> Blob (application/zip)
+export function createZip(files) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    const directory = [];
+    let offset = 0;
+
+    files.forEach(({ name, data }) => {
+        const fileName = encoder.encode(name);
+        const crc = crc32(data);
+
+        // Local file header
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034b50, true);
+        header.setUint16(4, 20, true); // Version needed to extract
+        header.setUint16(8, 0, true); // Stored
+        header.setUint16(12, DOS_DATE, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, data.length, true);
+        header.setUint32(22, data.length, true);
+        header.setUint16(26, fileName.length, true);
+        parts.push(header, fileName, data);
+
+        // Central directory entry
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014b50, true);
+        entry.setUint16(4, 20, true); // Version made by
+        entry.setUint16(6, 20, true);
+        entry.setUint16(14, DOS_DATE, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, data.length, true);
+        entry.setUint32(24, data.length, true);
+        entry.setUint16(28, fileName.length, true);
+        entry.setUint32(42, offset, true);
+        directory.push(entry, fileName);
+
+        offset += 30 + fileName.length + data.length;
+    });
+
+    const directorySize = directory.reduce((sum, part) => sum + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...directory, end], { type: 'application/zip' });
+}